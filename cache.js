@@ -0,0 +1,179 @@
+/**
+ * Cache persistente de arquivos GeoJSON no IndexedDB
+ *
+ * Cada arquivo é armazenado pela chave (diretório + nome) junto com uma versão
+ * do conteúdo (sha, tamanho, ETag ou Last-Modified). Um arquivo só é lido do
+ * cache quando a versão armazenada é igual à versão atual no servidor.
+ */
+
+// Configurações do cache
+const CACHE_CONFIG = {
+  DB_NAME: 'pyfortracc-cache',
+  DB_VERSION: 1,
+  FILES_STORE: 'files', // Conteúdo dos arquivos
+  META_STORE: 'meta'    // Versão e tamanho, lidos sem carregar o conteúdo
+};
+
+// Estado do cache
+const cacheState = {
+  dbPromise: null
+};
+
+/**
+ * Abre (ou cria) o banco IndexedDB; resolve com null se não estiver disponível
+ */
+function openCacheDb() {
+  if (cacheState.dbPromise) return cacheState.dbPromise;
+
+  cacheState.dbPromise = new Promise(resolve => {
+    if (!window.indexedDB) {
+      resolve(null);
+      return;
+    }
+
+    const request = indexedDB.open(CACHE_CONFIG.DB_NAME, CACHE_CONFIG.DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(CACHE_CONFIG.FILES_STORE, { keyPath: 'key' });
+      request.result.createObjectStore(CACHE_CONFIG.META_STORE, { keyPath: 'key' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      console.warn("IndexedDB indisponível, cache desativado:", request.error);
+      resolve(null);
+    };
+  });
+
+  return cacheState.dbPromise;
+}
+
+/**
+ * Executa uma operação sobre os object stores e resolve com o resultado da última requisição
+ */
+function runCacheRequest(mode, operation) {
+  return openCacheDb().then(db => {
+    if (!db) return null;
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([CACHE_CONFIG.FILES_STORE, CACHE_CONFIG.META_STORE], mode);
+      const request = operation(
+        transaction.objectStore(CACHE_CONFIG.FILES_STORE),
+        transaction.objectStore(CACHE_CONFIG.META_STORE)
+      );
+      transaction.oncomplete = () => resolve(request ? request.result : null);
+      transaction.onerror = () => reject(transaction.error);
+      // Transações abortadas (ex.: cota excedida) não disparam oncomplete
+      transaction.onabort = () => reject(transaction.error);
+    });
+  });
+}
+
+/**
+ * Obtém a versão atual de um arquivo remoto a partir dos cabeçalhos HTTP
+ */
+function fetchRemoteVersion(url) {
+  return fetch(url, { method: 'HEAD', cache: 'no-cache' })
+    .then(r => {
+      if (!r.ok) return null;
+      const etag = r.headers.get('ETag');
+      const lastModified = r.headers.get('Last-Modified');
+      const length = r.headers.get('Content-Length');
+      if (!etag && !lastModified) return null;
+      return [etag, lastModified, length].filter(Boolean).join('|');
+    })
+    .catch(() => null);
+}
+
+/**
+ * Baixa o conteúdo de um arquivo como texto
+ */
+function fetchNetworkText(url) {
+  return fetch(url).then(r => {
+    if (!r.ok) throw new Error(url);
+    return r.text();
+  });
+}
+
+const geojsonCache = {
+  /**
+   * Retorna o texto armazenado para a chave se a versão coincidir, ou null
+   */
+  get: (key, version) =>
+    runCacheRequest('readonly', (files, meta) => meta.get(key))
+      .then(record => {
+        if (!record || record.version !== version) return null;
+        return runCacheRequest('readonly', files => files.get(key))
+          .then(file => (file ? file.text : null));
+      })
+      .catch(() => null),
+
+  /**
+   * Verifica se o arquivo está no cache com a versão informada, sem lê-lo
+   */
+  has: (key, version) =>
+    runCacheRequest('readonly', (files, meta) => meta.get(key))
+      .then(record => !!record && record.version === version)
+      .catch(() => false),
+
+  /**
+   * Armazena o texto de um arquivo com sua versão
+   */
+  put: (key, version, text) =>
+    runCacheRequest('readwrite', (files, meta) => {
+      files.put({ key, text });
+      return meta.put({ key, version, bytes: text.length, storedAt: Date.now() });
+    }).catch(err => console.warn(`Erro ao armazenar ${key} no cache:`, err)),
+
+  /**
+   * Baixa um arquivo usando o cache quando a versão é conhecida
+   *
+   * Se a versão não for informada, ela é obtida com uma requisição HEAD. Sem
+   * versão disponível, o arquivo é baixado normalmente e não é armazenado.
+   */
+  fetchText: (url, { key = url, version = null } = {}) =>
+    (version ? Promise.resolve(String(version)) : fetchRemoteVersion(url)).then(resolvedVersion => {
+      if (!resolvedVersion) return fetchNetworkText(url);
+
+      return geojsonCache.get(key, resolvedVersion).then(cached => {
+        if (cached !== null) return cached;
+
+        return fetchNetworkText(url).then(text => {
+          geojsonCache.put(key, resolvedVersion, text);
+          return text;
+        });
+      });
+    }),
+
+  /**
+   * Resume o uso do cache: número de arquivos, bytes e estimativa do navegador
+   */
+  usage: () => {
+    const entriesPromise = runCacheRequest('readonly', (files, meta) => meta.getAll())
+      .then(records => (records || []).reduce(
+        (acc, record) => ({ entries: acc.entries + 1, bytes: acc.bytes + (record.bytes || 0) }),
+        { entries: 0, bytes: 0 }
+      ))
+      .catch(() => ({ entries: 0, bytes: 0 }));
+
+    const estimatePromise = navigator.storage && navigator.storage.estimate
+      ? navigator.storage.estimate().catch(() => null)
+      : Promise.resolve(null);
+
+    return Promise.all([entriesPromise, estimatePromise]).then(([entries, estimate]) => ({
+      entries: entries.entries,
+      bytes: entries.bytes,
+      quota: estimate ? estimate.quota : null,
+      usage: estimate ? estimate.usage : null
+    }));
+  },
+
+  /**
+   * Remove todos os arquivos do cache
+   */
+  clear: () => runCacheRequest('readwrite', (files, meta) => {
+    files.clear();
+    return meta.clear();
+  })
+};
+
+// Expor para uso em outros scripts
+window.geojsonCache = geojsonCache;
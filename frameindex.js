@@ -0,0 +1,559 @@
+/**
+ * Índice de frames executado em um Web Worker
+ *
+ * O worker interpreta o GeoJSON de cada frame e mantém, de forma incremental,
+ * um índice UID → [frame, propriedades] e um resumo por frame (contagem de
+ * sistemas por threshold). As consultas são respondidas por mensagens, sem
+ * bloquear a interface.
+ *
+ * O mesmo arquivo é carregado na página: fora do worker ele define o cliente
+ * `window.frameIndex`, que usa o núcleo diretamente quando Workers não estão
+ * disponíveis (por exemplo, ao abrir a página via file://).
+ */
+
+// ============ NÚCLEO DO ÍNDICE ============
+const frameIndexCore = {
+  generation: 0,             // Conjunto de dados atual (incrementado a cada reset)
+  indexedFrames: new Set(),  // Nomes de arquivo já indexados
+  uids: new Map(),           // uid (string) -> [{ fileName, properties, centroid, bbox }]
+  frames: new Map(),         // fileName -> entradas do frame (mesmos objetos de uids)
+  frameSummaries: new Map(), // fileName -> { counts: { threshold: número de sistemas }, domain: { threshold: totais } }
+
+  /**
+   * Compara nomes de arquivo na mesma ordem usada em state.geojsonLayers
+   */
+  compareFileNames: (a, b) => a.toLowerCase().localeCompare(b.toLowerCase()),
+
+  /**
+   * Centroide [lon, lat] do contorno externo de uma geometria (média dos vértices)
+   */
+  centroid: geometry => {
+    if (!geometry || !geometry.coordinates) return null;
+
+    let ring = null;
+    if (geometry.type === 'Polygon') ring = geometry.coordinates[0];
+    if (geometry.type === 'MultiPolygon') ring = geometry.coordinates[0] && geometry.coordinates[0][0];
+    if (!ring || !ring.length) return null;
+
+    // Ignorar o ponto de fechamento repetido
+    const points = ring.length > 1 ? ring.slice(0, -1) : ring;
+    const sum = points.reduce((acc, p) => [acc[0] + p[0], acc[1] + p[1]], [0, 0]);
+    return [sum[0] / points.length, sum[1] / points.length];
+  },
+
+  /**
+   * Retângulo envolvente [minLon, minLat, maxLon, maxLat] do contorno externo de uma geometria
+   */
+  bbox: geometry => {
+    if (!geometry || !geometry.coordinates) return null;
+
+    const rings = geometry.type === 'Polygon' ? [geometry.coordinates[0]]
+      : geometry.type === 'MultiPolygon' ? geometry.coordinates.map(polygon => polygon[0]) : [];
+    const points = rings.filter(Boolean).flat();
+    if (!points.length) return null;
+
+    return points.reduce((box, [x, y]) => [
+      Math.min(box[0], x), Math.min(box[1], y), Math.max(box[2], x), Math.max(box[3], y)
+    ], [Infinity, Infinity, -Infinity, -Infinity]);
+  },
+
+  /**
+   * Interpreta o texto de um frame e o adiciona ao índice
+   */
+  parse: ({ fileName, text, generation }) => {
+    const geojson = JSON.parse(text);
+    frameIndexCore.index({ fileName, geojson, generation });
+    return geojson;
+  },
+
+  /**
+   * Interpreta e indexa um frame sem devolver o GeoJSON (varredura em segundo plano)
+   */
+  scan: ({ fileName, text, generation }) => {
+    frameIndexCore.parse({ fileName, text, generation });
+    return frameIndexCore.frameSummaries.get(fileName) || null;
+  },
+
+  /**
+   * Adiciona as propriedades das features de um frame ao índice
+   */
+  index: ({ fileName, geojson, generation }) => {
+    // Frames de um conjunto de dados anterior não são indexados
+    if (generation !== undefined && generation !== frameIndexCore.generation) return;
+    if (frameIndexCore.indexedFrames.has(fileName)) return;
+    frameIndexCore.indexedFrames.add(fileName);
+
+    // Totais do domínio por threshold: sistemas por status, área total e intensidades
+    const summary = { counts: {}, domain: {} };
+    const weighted = {}; // threshold -> { sum: Σ mean·size, size: Σ size }
+    const frameEntries = [];
+    frameIndexCore.frameSummaries.set(fileName, summary);
+    frameIndexCore.frames.set(fileName, frameEntries);
+
+    (geojson.features || []).forEach(feature => {
+      if (feature.properties && feature.properties.threshold !== undefined && feature.properties.threshold !== null) {
+        const threshold = String(parseFloat(feature.properties.threshold));
+        summary.counts[threshold] = (summary.counts[threshold] || 0) + 1;
+
+        const domain = summary.domain[threshold] ||
+          (summary.domain[threshold] = { statuses: {}, size: 0, max: null, mean: null });
+        const status = feature.properties.status || 'unknown';
+        domain.statuses[status] = (domain.statuses[status] || 0) + 1;
+
+        const [size, max, mean] = ['size', 'max', 'mean'].map(key => parseFloat(feature.properties[key]));
+        if (!isNaN(size)) domain.size += size;
+        if (!isNaN(max)) domain.max = domain.max === null ? max : Math.max(domain.max, max);
+        if (!isNaN(mean) && !isNaN(size)) {
+          const totals = weighted[threshold] || (weighted[threshold] = { sum: 0, size: 0 });
+          totals.sum += mean * size;
+          totals.size += size;
+        }
+      }
+
+      if (!feature.properties || feature.properties.uid === undefined || feature.properties.uid === null) return;
+
+      const key = String(feature.properties.uid);
+      if (!frameIndexCore.uids.has(key)) frameIndexCore.uids.set(key, []);
+
+      const entries = frameIndexCore.uids.get(key);
+      const entry = {
+        fileName,
+        properties: feature.properties,
+        centroid: frameIndexCore.centroid(feature.geometry),
+        bbox: frameIndexCore.bbox(feature.geometry)
+      };
+      entries.push(entry);
+      frameEntries.push(entry);
+
+      // Manter as entradas ordenadas por frame (inserção costuma ser no final)
+      for (let i = entries.length - 1; i > 0 && frameIndexCore.compareFileNames(entries[i - 1].fileName, entries[i].fileName) > 0; i--) {
+        [entries[i - 1], entries[i]] = [entries[i], entries[i - 1]];
+      }
+    });
+
+    // Intensidade média do domínio ponderada pela área de cada sistema
+    Object.keys(weighted).forEach(threshold => {
+      if (weighted[threshold].size) summary.domain[threshold].mean = weighted[threshold].sum / weighted[threshold].size;
+    });
+  },
+
+  /**
+   * Retorna todas as ocorrências de um UID, ordenadas por frame
+   */
+  timeSeries: ({ uid }) => frameIndexCore.uids.get(String(uid)) || [],
+
+  /**
+   * Retorna os frames (e thresholds) em que um UID aparece
+   */
+  lookup: ({ uid }) => (frameIndexCore.uids.get(String(uid)) || []).map(entry => ({
+    fileName: entry.fileName,
+    threshold: entry.properties.threshold
+  })),
+
+  /**
+   * Busca os UIDs que contêm o termo, para o autocompletar
+   *
+   * Os UIDs iniciados pelo termo vêm primeiro, dos mais curtos aos mais longos.
+   * Retorna até `limit` itens { uid, first, last, thresholds, frames }, com o
+   * primeiro e o último nome de arquivo em que o UID aparece.
+   */
+  search: ({ query, limit = 20 }) => {
+    const term = String(query === undefined || query === null ? '' : query).trim();
+    if (!term) return [];
+
+    const matches = [];
+    frameIndexCore.uids.forEach((entries, key) => {
+      const position = key.indexOf(term);
+      if (position !== -1) matches.push({ key, prefix: position === 0 ? 0 : 1, entries });
+    });
+
+    return matches
+      .sort((a, b) => a.prefix - b.prefix || a.key.length - b.key.length || a.key.localeCompare(b.key))
+      .slice(0, limit)
+      .map(({ entries }) => ({
+        uid: entries[0].properties.uid,
+        first: entries[0].fileName,
+        last: entries[entries.length - 1].fileName,
+        thresholds: Array.from(new Set(entries.map(entry => String(parseFloat(entry.properties.threshold))))),
+        frames: new Set(entries.map(entry => entry.fileName)).size
+      }));
+  },
+
+  /**
+   * Retorna o trajeto (centroides por frame) de todos os UIDs de um threshold
+   *
+   * Se fileNames for informado, considera apenas esses frames. Cada trajeto traz
+   * o valor máximo da propriedade `max` ao longo do período.
+   */
+  tracks: ({ threshold, fileNames }) => {
+    const allowed = fileNames ? new Set(fileNames) : null;
+    const tracks = [];
+
+    frameIndexCore.uids.forEach(entries => {
+      const points = [];
+      let max = null;
+
+      entries.forEach(entry => {
+        if (allowed && !allowed.has(entry.fileName)) return;
+        if (threshold !== undefined && parseFloat(entry.properties.threshold) !== parseFloat(threshold)) return;
+        if (!entry.centroid) return;
+        // Considerar apenas a primeira ocorrência do UID em cada frame
+        if (points.length && points[points.length - 1].fileName === entry.fileName) return;
+
+        points.push({ fileName: entry.fileName, coordinates: entry.centroid });
+        const value = parseFloat(entry.properties.max);
+        if (!isNaN(value)) max = max === null ? value : Math.max(max, value);
+      });
+
+      if (points.length) tracks.push({ uid: entries[0].properties.uid, points, max });
+    });
+
+    return tracks;
+  },
+
+  /**
+   * Menor e maior valor de uma propriedade em todos os frames indexados (em um
+   * threshold, se informado), ou null quando não houver valores numéricos
+   */
+  range: ({ variable, threshold }) => {
+    let [min, max] = [Infinity, -Infinity];
+
+    frameIndexCore.uids.forEach(entries => entries.forEach(entry => {
+      if (threshold !== undefined && parseFloat(entry.properties.threshold) !== parseFloat(threshold)) return;
+      const value = parseFloat(entry.properties[variable]);
+      if (isNaN(value)) return;
+      min = Math.min(min, value);
+      max = Math.max(max, value);
+    }));
+
+    return min <= max ? { min, max } : null;
+  },
+
+  /**
+   * Reconstrói a genealogia de um UID a partir dos status de fusão e divisão
+   *
+   * Os GeoJSON não trazem o UID de origem de uma fusão ou divisão, então as
+   * ligações são inferidas no mesmo threshold:
+   * - MRG / MRG/SPL no frame f: os sistemas do frame anterior que terminaram e
+   *   cujo centroide cai dentro do sistema fundido são seus ancestrais (na falta
+   *   deles, o sistema encerrado mais próximo);
+   * - NEW/SPL no frame f: o pai é o sistema SPL (ou MRG/SPL) do mesmo frame
+   *   cujo contorno no frame anterior contém o centroide do novo sistema.
+   *
+   * O `iuid` (uid + fração, estável entre frames) distingue os sistemas internos
+   * de um mesmo UID nos thresholds superiores: é por ele que se decide quais
+   * sistemas terminaram. `inside_clusters` não entra na genealogia: é o número
+   * de núcleos de threshold superior contidos no sistema, não o de sistemas fundidos.
+   *
+   * A busca percorre até maxDepth gerações a partir do UID e retorna
+   * { nodes: [{ uid, start, end, status, depth, focus }], edges: [{ from, to, kind, fileName }] },
+   * com nomes de arquivo no lugar dos instantes.
+   */
+  lineage: ({ uid, threshold, maxDepth = 3, maxNodes = 40 }) => {
+    const fileNames = Array.from(frameIndexCore.indexedFrames).sort(frameIndexCore.compareFileNames);
+    const order = new Map(fileNames.map((fileName, i) => [fileName, i]));
+    const sameThreshold = entry => parseFloat(entry.properties.threshold) === parseFloat(threshold);
+    const keyOf = entry => String(entry.properties.uid);
+    const idOf = entry => (entry.properties.iuid === null || entry.properties.iuid === undefined
+      ? keyOf(entry) : String(entry.properties.iuid));
+
+    // Ocorrências de um UID no threshold (um UID pode se repetir no mesmo frame)
+    const occurrences = key => (frameIndexCore.uids.get(key) || []).filter(sameThreshold);
+    const systemsAt = fileName => (frameIndexCore.frames.get(fileName) || []).filter(sameThreshold);
+    const previousFrame = fileName => fileNames[order.get(fileName) - 1];
+    const nextFrame = fileName => fileNames[order.get(fileName) + 1];
+    const hasStatus = (entry, status) => String(entry.properties.status || '').split('/').includes(status);
+
+    const contains = (box, point) => box && point &&
+      point[0] >= box[0] && point[0] <= box[2] && point[1] >= box[1] && point[1] <= box[3];
+    const distance = (a, b) => (a && b ? Math.hypot(a[0] - b[0], a[1] - b[1]) : Infinity);
+    const nearest = (candidates, point) => candidates.reduce((best, entry) =>
+      (!best || distance(entry.centroid, point) < distance(best.centroid, point) ? entry : best), null);
+
+    // Sistemas do frame anterior absorvidos por uma fusão no frame f
+    const mergeParents = merged => {
+      const previous = previousFrame(merged.fileName);
+      if (!previous) return [];
+
+      const present = new Set(systemsAt(merged.fileName).map(idOf));
+      const ended = systemsAt(previous)
+        .filter(entry => !present.has(idOf(entry)) && keyOf(entry) !== keyOf(merged));
+      const inside = ended.filter(entry => contains(merged.bbox, entry.centroid));
+      if (inside.length) return inside;
+
+      const closest = nearest(ended, merged.centroid);
+      return closest ? [closest] : [];
+    };
+
+    // Sistema que deu origem a um NEW/SPL
+    const splitParent = child => {
+      const previous = previousFrame(child.fileName);
+      const splitting = systemsAt(child.fileName).filter(entry =>
+        keyOf(entry) !== keyOf(child) && hasStatus(entry, 'SPL') && !hasStatus(entry, 'NEW'));
+      const before = previous ? systemsAt(previous) : [];
+      const outline = entry => (before.find(b => keyOf(b) === keyOf(entry)) || entry).bbox;
+
+      const candidates = splitting.length ? splitting : before;
+      return candidates.find(entry => contains(outline(entry), child.centroid)) ||
+        nearest(candidates, child.centroid);
+    };
+
+    const nodes = new Map();
+    const edges = new Map();
+    const queue = [];
+
+    const addNode = (key, depth, focus) => {
+      if (nodes.has(key)) return nodes.get(key);
+      if (nodes.size >= maxNodes) return null;
+
+      const entries = occurrences(key);
+      if (!entries.length) return null;
+
+      const start = entries[0].fileName;
+      const end = entries[entries.length - 1].fileName;
+      // Status de origem: o mais informativo entre as ocorrências do primeiro frame
+      const first = entries.find(entry => entry.fileName === start && entry.properties.status !== 'CON') || entries[0];
+      const node = {
+        uid: entries[0].properties.uid,
+        start,
+        end,
+        status: first.properties.status,
+        depth,
+        // Frame exibido ao clicar no nó: o do evento, se o sistema existir nele
+        focus: focus && entries.some(entry => entry.fileName === focus) ? focus : end,
+        entries
+      };
+      nodes.set(key, node);
+      queue.push(node);
+      return node;
+    };
+
+    const link = (from, to, kind, fileName) => {
+      if (!from || !to) return;
+      edges.set(`${keyOf(from.entries[0])}>${keyOf(to.entries[0])}`, {
+        from: from.uid, to: to.uid, kind, fileName
+      });
+    };
+
+    addNode(String(uid), 0, null);
+
+    while (queue.length) {
+      const node = queue.shift();
+      if (node.depth >= maxDepth) continue;
+      const depth = node.depth + 1;
+
+      node.entries.forEach(entry => {
+        // Ancestrais que se fundiram neste sistema
+        if (hasStatus(entry, 'MRG')) {
+          mergeParents(entry).forEach(parent =>
+            link(addNode(keyOf(parent), depth, parent.fileName), node, 'merge', entry.fileName));
+        }
+
+        // Sistema de origem, quando este nasceu de uma divisão
+        if (entry.fileName === node.start && hasStatus(entry, 'NEW') && hasStatus(entry, 'SPL')) {
+          const parent = splitParent(entry);
+          if (parent) link(addNode(keyOf(parent), depth, entry.fileName), node, 'split', entry.fileName);
+        }
+
+        // Filhos que se separaram deste sistema
+        if (hasStatus(entry, 'SPL') && !hasStatus(entry, 'NEW')) {
+          systemsAt(entry.fileName)
+            .filter(other => hasStatus(other, 'NEW') && hasStatus(other, 'SPL'))
+            .filter(other => {
+              const parent = splitParent(other);
+              return parent && keyOf(parent) === keyOf(entry);
+            })
+            .forEach(child => link(node, addNode(keyOf(child), depth, child.fileName), 'split', entry.fileName));
+        }
+      });
+
+      // Sistema em que este se fundiu depois de terminar
+      const after = nextFrame(node.end);
+      if (after) {
+        systemsAt(after)
+          .filter(entry => hasStatus(entry, 'MRG') && keyOf(entry) !== keyOf(node.entries[0]))
+          .filter(entry => mergeParents(entry).some(parent => keyOf(parent) === keyOf(node.entries[0])))
+          .forEach(entry => link(node, addNode(keyOf(entry), depth, entry.fileName), 'merge', after));
+      }
+    }
+
+    return {
+      nodes: Array.from(nodes.values()).map(({ entries, ...node }) => node),
+      edges: Array.from(edges.values()),
+      indexedFrames: fileNames.length
+    };
+  },
+
+  /**
+   * Distribuição de uma propriedade numérica, agrupada por status ou por threshold
+   *
+   * Com groupBy 'status' apenas o threshold informado é considerado. Se
+   * fileNames for informado, considera apenas esses frames; com perSystem, cada
+   * UID contribui uma única vez (com o maior valor), como no tempo de vida.
+   * Retorna { edges, groups: [{ name, count, histogram, box }] }, com as mesmas
+   * classes do histograma para todos os grupos.
+   */
+  statistics: ({ variable, groupBy, threshold, fileNames, bins = 20, perSystem = false }) => {
+    const allowed = fileNames ? new Set(fileNames) : null;
+    const groups = new Map(); // nome -> Map(chave da observação -> valor)
+    let observation = 0;
+
+    frameIndexCore.frames.forEach((entries, fileName) => {
+      if (allowed && !allowed.has(fileName)) return;
+
+      entries.forEach(entry => {
+        const properties = entry.properties;
+        if (groupBy === 'status' && parseFloat(properties.threshold) !== parseFloat(threshold)) return;
+
+        const value = parseFloat(properties[variable]);
+        if (isNaN(value)) return;
+
+        const name = groupBy === 'status'
+          ? String(properties.status || 'N/A')
+          : String(parseFloat(properties.threshold));
+        if (!groups.has(name)) groups.set(name, new Map());
+
+        const values = groups.get(name);
+        const key = perSystem ? `${properties.uid}|${properties.threshold}` : observation++;
+        values.set(key, values.has(key) ? Math.max(values.get(key), value) : value);
+      });
+    });
+
+    const all = Array.from(groups.values()).flatMap(values => Array.from(values.values()));
+    if (!all.length) return { edges: [], groups: [] };
+
+    const min = all.reduce((acc, value) => Math.min(acc, value), Infinity);
+    const max = all.reduce((acc, value) => Math.max(acc, value), -Infinity);
+    const width = max > min ? (max - min) / bins : 1;
+    const edges = Array.from({ length: bins + 1 }, (_, i) => min + i * width);
+
+    // Quantil com interpolação linear em uma lista ordenada
+    const quantile = (sorted, q) => {
+      const position = (sorted.length - 1) * q;
+      const lower = Math.floor(position);
+      const upper = Math.ceil(position);
+      return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    };
+
+    return {
+      edges,
+      groups: Array.from(groups.entries()).map(([name, values]) => {
+        const sorted = Array.from(values.values()).sort((a, b) => a - b);
+        const histogram = new Array(bins).fill(0);
+        sorted.forEach(value => {
+          histogram[Math.min(bins - 1, Math.floor((value - min) / width))]++;
+        });
+
+        return {
+          name,
+          count: sorted.length,
+          histogram,
+          box: {
+            min: sorted[0],
+            q1: quantile(sorted, 0.25),
+            median: quantile(sorted, 0.5),
+            q3: quantile(sorted, 0.75),
+            max: sorted[sorted.length - 1],
+            mean: sorted.reduce((sum, value) => sum + value, 0) / sorted.length
+          }
+        };
+      })
+    };
+  },
+
+  /**
+   * Retorna os resumos de todos os frames indexados ({ fileName: resumo })
+   */
+  summaries: () => Object.fromEntries(frameIndexCore.frameSummaries),
+
+  /**
+   * Limpa o índice (usado ao trocar de conjunto de dados)
+   */
+  reset: ({ generation }) => {
+    frameIndexCore.generation = generation;
+    frameIndexCore.indexedFrames.clear();
+    frameIndexCore.uids.clear();
+    frameIndexCore.frames.clear();
+    frameIndexCore.frameSummaries.clear();
+  }
+};
+
+// ============ WORKER ============
+if (typeof importScripts === 'function') {
+  self.onmessage = event => {
+    const { id, type, payload } = event.data;
+
+    try {
+      if (typeof frameIndexCore[type] !== 'function') throw new Error(`Consulta desconhecida: ${type}`);
+      self.postMessage({ id, result: frameIndexCore[type](payload || {}) });
+    } catch (err) {
+      self.postMessage({ id, error: err.message });
+    }
+  };
+} else {
+  // ============ CLIENTE (PÁGINA) ============
+  const frameIndexClient = {
+    worker: null,
+    nextId: 0,
+    callbacks: new Map(),
+    generation: 0,
+    scriptUrl: document.currentScript ? document.currentScript.src : 'frameindex.js'
+  };
+
+  try {
+    frameIndexClient.worker = new Worker(frameIndexClient.scriptUrl);
+    frameIndexClient.worker.onmessage = event => {
+      const { id, result, error } = event.data;
+      const callback = frameIndexClient.callbacks.get(id);
+      if (!callback) return;
+
+      frameIndexClient.callbacks.delete(id);
+      error ? callback.reject(new Error(error)) : callback.resolve(result);
+    };
+    frameIndexClient.worker.onerror = event => {
+      console.warn("Worker de índice indisponível, usando a thread principal:", event.message);
+      event.preventDefault();
+      frameIndexClient.worker = null;
+
+      // Reexecutar as consultas pendentes na thread principal
+      frameIndexClient.callbacks.forEach(callback => callback.retry());
+      frameIndexClient.callbacks.clear();
+    };
+  } catch (err) {
+    console.warn("Web Workers indisponíveis, usando a thread principal:", err);
+    frameIndexClient.worker = null;
+  }
+
+  /**
+   * Envia uma consulta ao worker (ou ao núcleo local) e retorna uma Promise
+   */
+  const callFrameIndex = (type, payload) => {
+    const runLocally = () => new Promise(resolve => resolve(frameIndexCore[type](payload || {})));
+    if (!frameIndexClient.worker) return runLocally();
+
+    return new Promise((resolve, reject) => {
+      const id = frameIndexClient.nextId++;
+      frameIndexClient.callbacks.set(id, {
+        resolve,
+        reject,
+        retry: () => runLocally().then(resolve, reject)
+      });
+      frameIndexClient.worker.postMessage({ id, type, payload });
+    });
+  };
+
+  window.frameIndex = {
+    parse: (fileName, text) => callFrameIndex('parse', { fileName, text, generation: frameIndexClient.generation }),
+    index: (fileName, geojson) => callFrameIndex('index', { fileName, geojson, generation: frameIndexClient.generation }),
+    scan: (fileName, text) => callFrameIndex('scan', { fileName, text, generation: frameIndexClient.generation }),
+    tracks: (threshold, fileNames) => callFrameIndex('tracks', { threshold, fileNames }),
+    lineage: (uid, threshold, maxDepth) => callFrameIndex('lineage', { uid, threshold, maxDepth }),
+    statistics: options => callFrameIndex('statistics', options),
+    range: (variable, threshold) => callFrameIndex('range', { variable, threshold }),
+    summaries: () => callFrameIndex('summaries'),
+    timeSeries: uid => callFrameIndex('timeSeries', { uid }),
+    lookup: uid => callFrameIndex('lookup', { uid }),
+    search: (query, limit) => callFrameIndex('search', { query, limit }),
+    reset: () => callFrameIndex('reset', { generation: ++frameIndexClient.generation })
+  };
+}
@@ -0,0 +1,241 @@
+/**
+ * Armazenamento de frames com carregamento sob demanda
+ *
+ * Mantém em memória apenas os frames próximos ao índice atual, pré-carrega os
+ * frames seguintes na direção da reprodução e descarta os frames mais distantes
+ * quando o orçamento de memória é excedido.
+ */
+
+// Configurações do armazenamento de frames
+const FRAME_STORE_CONFIG = {
+  WINDOW_BEHIND: 2,      // Frames mantidos atrás do índice atual
+  WINDOW_AHEAD: 5,       // Frames pré-carregados à frente, na direção da reprodução
+  MAX_CONCURRENT: 3,     // Número máximo de downloads simultâneos
+  MEMORY_BUDGET_MB: 150  // Orçamento de memória (tamanho bruto do GeoJSON em MB)
+};
+
+/**
+ * Orçamento de memória salvo pelo usuário (MB), ou o padrão
+ */
+function savedMemoryBudget() {
+  const saved = parseFloat(localStorage.getItem('frameMemoryBudgetMB'));
+  return !isNaN(saved) && saved > 0 ? saved : FRAME_STORE_CONFIG.MEMORY_BUDGET_MB;
+}
+
+// Estado do armazenamento
+const frameStoreState = {
+  frames: [],          // Referência ao array de frames (state.geojsonLayers)
+  loader: null,        // Função (frame) => Promise<{ geojson, bytes }>
+  center: 0,           // Índice atual
+  direction: 1,        // 1 = para frente, -1 = para trás
+  keepPrevious: 0,     // Frames anteriores mantidos além da janela (ex.: onion-skin)
+  pending: [],         // Frames aguardando download
+  active: 0,           // Downloads em andamento
+  listeners: [],       // Callbacks chamados quando um frame termina de carregar
+  budgetBytes: savedMemoryBudget() * 1024 * 1024
+};
+
+/**
+ * Calcula a prioridade de um frame (menor = mais urgente)
+ */
+function frameStorePriority(index) {
+  const offset = (index - frameStoreState.center) * frameStoreState.direction;
+  if (offset === 0) return 0;
+  // Frames à frente vêm antes dos frames atrás
+  return offset > 0 ? offset : FRAME_STORE_CONFIG.WINDOW_AHEAD + Math.abs(offset);
+}
+
+/**
+ * Retorna o intervalo [início, fim] da janela ao redor do índice atual
+ */
+function frameStoreWindow() {
+  const { center, direction, keepPrevious } = frameStoreState;
+  const ahead = FRAME_STORE_CONFIG.WINDOW_AHEAD;
+  const behind = FRAME_STORE_CONFIG.WINDOW_BEHIND;
+  const start = center - Math.max(direction > 0 ? behind : ahead, keepPrevious);
+  const end = direction > 0 ? center + ahead : center + behind;
+  return [Math.max(0, start), Math.min(frameStoreState.frames.length - 1, end)];
+}
+
+/**
+ * Inicia os próximos downloads da fila respeitando o limite de concorrência
+ */
+function frameStorePump() {
+  while (frameStoreState.active < FRAME_STORE_CONFIG.MAX_CONCURRENT && frameStoreState.pending.length) {
+    // Escolher o frame mais urgente
+    frameStoreState.pending.sort((a, b) =>
+      frameStorePriority(frameStoreState.frames.indexOf(a.frame)) -
+      frameStorePriority(frameStoreState.frames.indexOf(b.frame))
+    );
+    const job = frameStoreState.pending.shift();
+    const frame = job.frame;
+
+    frameStoreState.active++;
+    frameStoreState.loader(frame)
+      .then(({ geojson, bytes }) => {
+        frame.geojson = geojson;
+        frame.bytes = bytes || 0;
+        frame.status = 'loaded';
+        frame.lastAccess = Date.now();
+        job.resolve(frame);
+
+        const index = frameStoreState.frames.indexOf(frame);
+        frameStoreState.listeners.forEach(listener => listener(frame, index));
+        frameStoreEvict();
+      })
+      .catch(err => {
+        frame.status = 'error';
+        job.reject(err);
+      })
+      .finally(() => {
+        frame.promise = null;
+        frameStoreState.active--;
+        frameStorePump();
+      });
+  }
+}
+
+/**
+ * Descarta os frames mais distantes até respeitar o orçamento de memória
+ */
+function frameStoreEvict() {
+  const [start, end] = frameStoreWindow();
+  let used = frameStore.usedBytes();
+  if (used <= frameStoreState.budgetBytes) return;
+
+  // Candidatos: frames carregados fora da janela, do mais distante ao mais próximo
+  const candidates = frameStoreState.frames
+    .map((frame, index) => ({ frame, index }))
+    .filter(({ frame, index }) => frame.status === 'loaded' && (index < start || index > end))
+    .sort((a, b) => Math.abs(b.index - frameStoreState.center) - Math.abs(a.index - frameStoreState.center));
+
+  for (const { frame } of candidates) {
+    if (used <= frameStoreState.budgetBytes) break;
+    used -= frame.bytes || 0;
+    frame.geojson = null;
+    frame.trajectoryGeojson = null;
+    frame.trajectoryLayer = null;
+    frame.bytes = 0;
+    frame.status = 'idle';
+  }
+}
+
+const frameStore = {
+  /**
+   * Inicializa o armazenamento com a lista de frames e a função de carregamento
+   */
+  init: (frames, loader) => {
+    frameStoreState.frames = frames;
+    frameStoreState.loader = loader;
+    frameStoreState.pending = [];
+    frameStoreState.center = 0;
+    frameStoreState.direction = 1;
+
+    frames.forEach(frame => {
+      if (!frame.status) frame.status = frame.geojson ? 'loaded' : 'idle';
+      if (frame.bytes === undefined) frame.bytes = 0;
+    });
+  },
+
+  /**
+   * Solicita um frame, retornando uma Promise resolvida quando ele estiver carregado
+   */
+  request: index => {
+    const frame = frameStoreState.frames[index];
+    if (!frame) return Promise.reject(new Error(`Frame ${index} inexistente`));
+
+    if (frame.status === 'loaded') {
+      frame.lastAccess = Date.now();
+      return Promise.resolve(frame);
+    }
+    if (frame.promise) return frame.promise;
+
+    frame.status = 'loading';
+    frame.promise = new Promise((resolve, reject) => {
+      frameStoreState.pending.push({ frame, resolve, reject });
+    });
+    frameStorePump();
+    return frame.promise;
+  },
+
+  /**
+   * Move a janela para o índice informado, pré-carregando na direção da reprodução
+   */
+  focus: (index, direction) => {
+    frameStoreState.center = index;
+    if (direction) frameStoreState.direction = direction > 0 ? 1 : -1;
+
+    const [start, end] = frameStoreWindow();
+
+    // Cancelar downloads pendentes que saíram da janela
+    frameStoreState.pending = frameStoreState.pending.filter(job => {
+      const jobIndex = frameStoreState.frames.indexOf(job.frame);
+      if (jobIndex >= start && jobIndex <= end) return true;
+      job.frame.status = 'idle';
+      job.frame.promise = null;
+      job.reject(new Error('cancelled'));
+      return false;
+    });
+
+    for (let i = start; i <= end; i++) {
+      frameStore.request(i).catch(() => {});
+    }
+    frameStoreEvict();
+  },
+
+  /**
+   * Insere um novo frame (ainda sem dados) na posição informada
+   */
+  insert: (index, frame) => {
+    frame.status = frame.status || 'idle';
+    frame.bytes = frame.bytes || 0;
+    frameStoreState.frames.splice(index, 0, frame);
+    if (index <= frameStoreState.center) frameStoreState.center++;
+  },
+
+  /**
+   * Define quantos frames anteriores ao atual devem permanecer carregados
+   */
+  setKeepPrevious: count => {
+    frameStoreState.keepPrevious = Math.max(0, count);
+    frameStore.focus(frameStoreState.center);
+  },
+
+  /**
+   * Verifica se o frame no índice está carregado
+   */
+  isLoaded: index => {
+    const frame = frameStoreState.frames[index];
+    return !!(frame && frame.status === 'loaded');
+  },
+
+  /**
+   * Registra um callback chamado a cada frame carregado
+   */
+  onLoad: callback => {
+    frameStoreState.listeners.push(callback);
+  },
+
+  /**
+   * Memória usada pelos frames carregados (bytes)
+   */
+  usedBytes: () =>
+    frameStoreState.frames.reduce((sum, frame) => sum + (frame.status === 'loaded' ? frame.bytes || 0 : 0), 0),
+
+  /**
+   * Orçamento de memória atual em MB
+   */
+  memoryBudget: () => frameStoreState.budgetBytes / (1024 * 1024),
+
+  /**
+   * Define o orçamento de memória em MB
+   */
+  setMemoryBudget: megabytes => {
+    frameStoreState.budgetBytes = megabytes * 1024 * 1024;
+    localStorage.setItem('frameMemoryBudgetMB', megabytes);
+    frameStoreEvict();
+  }
+};
+
+// Expor para uso em outros scripts
+window.frameStore = frameStore;
@@ -0,0 +1,306 @@
+/**
+ * Importação de tabelas de rastreamento do pyfortracc (CSV e Parquet)
+ *
+ * Cada linha da tabela descreve um cluster em um instante, com a geometria e a
+ * trajetória em WKT. As linhas são agrupadas por timestamp em frames com o mesmo
+ * formato de state.geojsonLayers (fronteiras) e dos arquivos de trajetória.
+ */
+
+// Configurações do importador
+const IMPORTER_CONFIG = {
+  GEOMETRY_COLUMN: 'geometry',
+  TRAJECTORY_COLUMN: 'trajectory',
+  TIMESTAMP_COLUMN: 'timestamp',
+  // Propriedades copiadas para as features de trajetória (mesmas dos GeoJSON publicados)
+  TRAJECTORY_KEYS: ['cindex', 'timestamp', 'iuid', 'uid', 'status', 'threshold'],
+  // Leitor Parquet em WebAssembly e Apache Arrow (versões fixas), carregados sob demanda
+  PARQUET_WASM_URL: 'https://cdn.jsdelivr.net/npm/parquet-wasm@0.6.1/esm/parquet_wasm.js',
+  ARROW_URL: 'https://cdn.jsdelivr.net/npm/apache-arrow@17.0.0/+esm'
+};
+
+// Estado do importador
+const importerState = {
+  parquetModules: null // Promise com { readParquet, tableFromIPC }
+};
+
+// ============ WKT ============
+const WKT_GEOJSON_TYPES = {
+  POINT: 'Point',
+  LINESTRING: 'LineString',
+  POLYGON: 'Polygon',
+  MULTIPOINT: 'MultiPoint',
+  MULTILINESTRING: 'MultiLineString',
+  MULTIPOLYGON: 'MultiPolygon'
+};
+
+/**
+ * Converte uma geometria WKT em geometria GeoJSON (null se vazia ou não suportada)
+ */
+function parseWkt(wkt) {
+  if (typeof wkt !== 'string') return null;
+
+  const match = wkt.trim().match(/^([A-Za-z]+)\s*(?:ZM|Z|M)?\s*([\s\S]*)$/);
+  if (!match) return null;
+
+  const type = WKT_GEOJSON_TYPES[match[1].toUpperCase()];
+  const body = match[2].trim();
+  if (!type || !body || /^EMPTY$/i.test(body)) return null;
+
+  // "x y[ z]" -> [x,y] e parênteses -> colchetes, resultando em JSON válido
+  const json = body
+    .replace(/(-?[\d.]+(?:e[-+]?\d+)?)\s+(-?[\d.]+(?:e[-+]?\d+)?)(?:\s+-?[\d.]+(?:e[-+]?\d+)?)*/gi, '[$1,$2]')
+    .replace(/\(/g, '[')
+    .replace(/\)/g, ']');
+
+  let coordinates;
+  try {
+    coordinates = JSON.parse(json);
+  } catch (err) {
+    return null;
+  }
+
+  if (type === 'Point') coordinates = coordinates[0];
+  if (type === 'MultiPoint') coordinates = coordinates.map(p => (Array.isArray(p[0]) ? p[0] : p));
+
+  return { type, coordinates };
+}
+
+// ============ CSV ============
+/**
+ * Interpreta um CSV (RFC 4180, com campos entre aspas) em uma lista de objetos
+ */
+function parseCsv(text) {
+  const firstLine = text.slice(0, text.indexOf('\n') === -1 ? text.length : text.indexOf('\n'));
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const header = (records.shift() || []).map(name => name.trim());
+  return records
+    .filter(values => values.length > 1 || values[0])
+    .map(values => header.reduce((row, name, i) => {
+      // Primeira coluna sem nome é o índice do pandas
+      if (name) row[name] = convertCsvValue(values[i]);
+      return row;
+    }, {}));
+}
+
+/**
+ * Converte o texto de uma célula CSV no tipo adequado
+ */
+function convertCsvValue(value) {
+  if (value === undefined || value === '' || value === 'None' || value === 'nan' || value === 'NaN') return null;
+  if (value === 'True' || value === 'true') return true;
+  if (value === 'False' || value === 'false') return false;
+  if (/^-?\d+(\.\d+)?(e[-+]?\d+)?$/i.test(value)) return Number(value);
+  return value;
+}
+
+// ============ PARQUET ============
+/**
+ * Carrega o leitor Parquet (WebAssembly) e o Apache Arrow na primeira utilização
+ *
+ * Sem acesso ao CDN (offline ou atrás de um firewall), rejeita com um Error
+ * marcado com `parquetUnavailable` e uma mensagem para o usuário.
+ */
+function loadParquetModules() {
+  if (!importerState.parquetModules) {
+    importerState.parquetModules = Promise.all([
+      import(IMPORTER_CONFIG.PARQUET_WASM_URL),
+      import(IMPORTER_CONFIG.ARROW_URL)
+    ]).then(([parquet, arrow]) =>
+      parquet.default().then(() => ({ readParquet: parquet.readParquet, tableFromIPC: arrow.tableFromIPC }))
+    ).catch(err => {
+      console.error('Erro ao carregar o leitor Parquet:', err);
+      const error = new Error('The Parquet reader could not be downloaded (no connection to cdn.jsdelivr.net). ' +
+        'Check the network connection or export the tracking table as CSV.');
+      error.parquetUnavailable = true;
+      throw error;
+    });
+    importerState.parquetModules.catch(() => {
+      importerState.parquetModules = null;
+    });
+  }
+  return importerState.parquetModules;
+}
+
+/**
+ * Converte valores do Arrow (BigInt, Date) em tipos simples
+ */
+function convertArrowValue(value) {
+  if (typeof value === 'bigint') return Number(value);
+  if (value instanceof Date) return value.toISOString();
+  return value === undefined ? null : value;
+}
+
+/**
+ * Lê um arquivo Parquet em uma lista de objetos
+ */
+function parseParquet(buffer) {
+  return loadParquetModules().then(({ readParquet, tableFromIPC }) => {
+    const wasmTable = readParquet(new Uint8Array(buffer));
+    const table = tableFromIPC(wasmTable.intoIPCStream());
+
+    return table.toArray().map(row => {
+      const json = row.toJSON();
+      return Object.keys(json).reduce((acc, key) => {
+        acc[key] = convertArrowValue(json[key]);
+        return acc;
+      }, {});
+    });
+  });
+}
+
+// ============ FRAMES ============
+/**
+ * Converte o timestamp de uma linha em Date (UTC quando não houver fuso)
+ */
+function parseRowTimestamp(value) {
+  if (value === null || value === undefined) return null;
+
+  if (typeof value === 'number') {
+    // Epoch em ms, µs ou ns, conforme a magnitude
+    const ms = value > 1e17 ? value / 1e6 : value > 1e14 ? value / 1e3 : value;
+    return new Date(ms);
+  }
+
+  const text = String(value).trim().replace(' ', 'T');
+  const hasZone = /(Z|[+-]\d{2}:?\d{2})$/.test(text);
+  const date = new Date(hasZone ? text : `${text}Z`);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Gera o nome de arquivo equivalente ao publicado (YYYYMMDD_HHMM.GeoJSON)
+ */
+function frameFileName(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+    `_${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}.GeoJSON`;
+}
+
+/**
+ * Agrupa as linhas por timestamp em frames de fronteira e trajetória
+ */
+function buildFramesFromRows(rows) {
+  const groups = new Map();
+
+  rows.forEach(row => {
+    const date = parseRowTimestamp(row[IMPORTER_CONFIG.TIMESTAMP_COLUMN]);
+    if (!date) return;
+
+    const key = date.getTime();
+    if (!groups.has(key)) groups.set(key, { date, rows: [] });
+    groups.get(key).rows.push(row);
+  });
+
+  return Array.from(groups.values())
+    .sort((a, b) => a.date - b.date)
+    .map(({ date, rows: frameRows }) => {
+      const fileName = frameFileName(date);
+      const timestamp = date.toISOString().replace('T', ' ').substring(0, 19);
+      const boundaryFeatures = [];
+      const trajectoryFeatures = [];
+
+      frameRows.forEach(row => {
+        const properties = { ...row, timestamp };
+        delete properties[IMPORTER_CONFIG.GEOMETRY_COLUMN];
+        delete properties[IMPORTER_CONFIG.TRAJECTORY_COLUMN];
+
+        const geometry = parseWkt(row[IMPORTER_CONFIG.GEOMETRY_COLUMN]);
+        if (geometry) {
+          boundaryFeatures.push({ type: 'Feature', properties, geometry });
+        }
+
+        if (IMPORTER_CONFIG.TRAJECTORY_COLUMN in row) {
+          const trajectoryProperties = IMPORTER_CONFIG.TRAJECTORY_KEYS.reduce((acc, key) => {
+            if (key in properties) acc[key] = properties[key];
+            return acc;
+          }, {});
+          trajectoryProperties.trajectory = row[IMPORTER_CONFIG.TRAJECTORY_COLUMN];
+
+          trajectoryFeatures.push({
+            type: 'Feature',
+            properties: trajectoryProperties,
+            geometry: parseWkt(row[IMPORTER_CONFIG.TRAJECTORY_COLUMN]) || { type: 'LineString', coordinates: [] }
+          });
+        }
+      });
+
+      const name = fileName.replace(/\.GeoJSON$/, '');
+      return {
+        name: fileName,
+        timestamp: date.toISOString(),
+        data: {
+          geojson: { type: 'FeatureCollection', name, features: boundaryFeatures },
+          trajectoryGeojson: trajectoryFeatures.length
+            ? { type: 'FeatureCollection', name, features: trajectoryFeatures }
+            : null
+        }
+      };
+    });
+}
+
+const trackingTable = {
+  /**
+   * Indica se o arquivo é uma tabela de rastreamento suportada
+   */
+  isTableFile: file => /\.(csv|parquet)$/i.test(file.name),
+
+  /**
+   * Lê tabelas CSV/Parquet e devolve os frames agrupados por timestamp
+   */
+  importFiles: files => {
+    const tables = Array.from(files).filter(trackingTable.isTableFile);
+
+    return Promise.all(tables.map(file => (/\.parquet$/i.test(file.name)
+      ? file.arrayBuffer().then(parseParquet)
+      : file.text().then(parseCsv))))
+      .then(results => {
+        const rows = results.flat();
+        return { rowCount: rows.length, frames: buildFramesFromRows(rows) };
+      });
+  },
+
+  parseWkt,
+  parseCsv
+};
+
+// Expor para uso em outros scripts
+window.trackingTable = trackingTable;
@@ -0,0 +1,201 @@
+/**
+ * Interpolação de fronteiras entre frames consecutivos
+ *
+ * Sistemas com o mesmo uid nos dois frames são transformados por morphing: o
+ * contorno externo de cada um é reamostrado com o mesmo número de pontos,
+ * alinhado e interpolado linearmente. Sistemas que surgem ou desaparecem (NEW,
+ * MRG, SPL ou fim do rastreamento) são tratados como fade in/out.
+ */
+
+// Configurações da interpolação
+const INTERPOLATION_CONFIG = {
+  RING_POINTS: 64 // Pontos usados na reamostragem dos contornos
+};
+
+/**
+ * Área com sinal de um anel [[x, y], ...] (positiva = anti-horário)
+ */
+function ringSignedArea(ring) {
+  let area = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+  }
+  return area / 2;
+}
+
+/**
+ * Contorno externo de uma geometria (o maior, no caso de MultiPolygon), ou null
+ */
+function outerRing(geometry) {
+  if (!geometry || !geometry.coordinates) return null;
+
+  let rings = [];
+  if (geometry.type === 'Polygon') rings = [geometry.coordinates[0]];
+  if (geometry.type === 'MultiPolygon') rings = geometry.coordinates.map(polygon => polygon[0]);
+
+  const valid = rings.filter(ring => Array.isArray(ring) && ring.length >= 4);
+  if (!valid.length) return null;
+
+  return valid.reduce((largest, ring) =>
+    Math.abs(ringSignedArea(ring)) > Math.abs(ringSignedArea(largest)) ? ring : largest
+  );
+}
+
+/**
+ * Reamostra um anel fechado em n pontos igualmente espaçados pelo perímetro
+ */
+function resampleRing(ring, n) {
+  const lengths = [0];
+  for (let i = 1; i < ring.length; i++) {
+    const [dx, dy] = [ring[i][0] - ring[i - 1][0], ring[i][1] - ring[i - 1][1]];
+    lengths.push(lengths[i - 1] + Math.sqrt(dx * dx + dy * dy));
+  }
+
+  const perimeter = lengths[lengths.length - 1];
+  if (!perimeter) return null;
+
+  const points = [];
+  let segment = 1;
+  for (let k = 0; k < n; k++) {
+    const target = (k / n) * perimeter;
+    while (segment < lengths.length - 1 && lengths[segment] < target) segment++;
+
+    const span = lengths[segment] - lengths[segment - 1] || 1;
+    const t = (target - lengths[segment - 1]) / span;
+    const [a, b] = [ring[segment - 1], ring[segment]];
+    points.push([a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t]);
+  }
+  return points;
+}
+
+/**
+ * Prepara dois contornos para o morphing: mesma orientação e ponto inicial mais próximo
+ */
+function alignRings(fromRing, toRing) {
+  const n = INTERPOLATION_CONFIG.RING_POINTS;
+  const from = resampleRing(fromRing, n);
+  let to = resampleRing(toRing, n);
+  if (!from || !to) return null;
+
+  if (Math.sign(ringSignedArea(fromRing)) !== Math.sign(ringSignedArea(toRing))) {
+    to = to.reverse();
+  }
+
+  // Rotação do anel de destino que minimiza o deslocamento total dos pontos
+  let bestShift = 0;
+  let bestCost = Infinity;
+  for (let shift = 0; shift < n; shift++) {
+    let cost = 0;
+    for (let i = 0; i < n && cost < bestCost; i++) {
+      const p = to[(i + shift) % n];
+      cost += (p[0] - from[i][0]) ** 2 + (p[1] - from[i][1]) ** 2;
+    }
+    if (cost < bestCost) {
+      bestCost = cost;
+      bestShift = shift;
+    }
+  }
+
+  return { from, to: from.map((_, i) => to[(i + bestShift) % n]) };
+}
+
+/**
+ * Centroide simples (média dos vértices) de um anel, em [x, y]
+ */
+function ringCentroid(ring) {
+  // Ignorar o ponto de fechamento repetido
+  const last = ring[ring.length - 1];
+  const points = ring.length > 1 && last[0] === ring[0][0] && last[1] === ring[0][1] ? ring.slice(0, -1) : ring;
+  const sum = points.reduce((acc, p) => [acc[0] + p[0], acc[1] + p[1]], [0, 0]);
+  return [sum[0] / points.length, sum[1] / points.length];
+}
+
+/**
+ * Último segmento da trajetória de um uid, em [[x, y], [x, y]], ou null
+ */
+function trajectorySegment(trajectoryGeojson, uid) {
+  if (!trajectoryGeojson || !trajectoryGeojson.features) return null;
+
+  const feature = trajectoryGeojson.features.find(f => f.properties && f.properties.uid === uid);
+  const geometry = feature && feature.geometry;
+  if (!geometry || geometry.type !== 'LineString' || geometry.coordinates.length < 2) return null;
+
+  return geometry.coordinates.slice(-2);
+}
+
+/**
+ * Interpola linearmente dois pontos [x, y]
+ */
+function lerpPoint(a, b, t) {
+  return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+}
+
+const frameInterpolation = {
+  /**
+   * Monta as transições entre as features de dois frames
+   *
+   * Retorna uma lista de { uid, kind, feature, from, to, path }, onde kind é
+   * 'morph', 'fadeIn' ou 'fadeOut'. Para 'morph', from/to são os contornos
+   * alinhados e path é o segmento percorrido pelo rótulo.
+   */
+  buildTransitions: (fromFeatures, toFeatures, trajectoryGeojson) => {
+    const byUid = features => features.reduce((map, feature) => {
+      const uid = feature.properties ? feature.properties.uid : undefined;
+      // Um uid repetido no mesmo frame é interpolado apenas uma vez
+      if (uid !== undefined && uid !== null && !map.has(uid)) map.set(uid, feature);
+      return map;
+    }, new Map());
+
+    const fromByUid = byUid(fromFeatures);
+    const toByUid = byUid(toFeatures);
+    const transitions = [];
+
+    toByUid.forEach((feature, uid) => {
+      const toRing = outerRing(feature.geometry);
+      if (!toRing) return;
+
+      const previous = fromByUid.get(uid);
+      const fromRing = previous ? outerRing(previous.geometry) : null;
+      const aligned = fromRing ? alignRings(fromRing, toRing) : null;
+
+      if (!aligned) {
+        transitions.push({ uid, kind: 'fadeIn', feature, to: toRing });
+        return;
+      }
+
+      const path = trajectorySegment(trajectoryGeojson, uid) || [ringCentroid(aligned.from), ringCentroid(aligned.to)];
+      transitions.push({ uid, kind: 'morph', feature, from: aligned.from, to: aligned.to, path });
+    });
+
+    fromByUid.forEach((feature, uid) => {
+      if (toByUid.has(uid)) return;
+      const ring = outerRing(feature.geometry);
+      if (ring) transitions.push({ uid, kind: 'fadeOut', feature, from: ring });
+    });
+
+    return transitions;
+  },
+
+  /**
+   * Estado de uma transição em t ∈ [0, 1]: { ring, label, opacity }
+   *
+   * O rótulo é posicionado sobre o último segmento da trajetória do sistema.
+   */
+  at: (transition, t) => {
+    if (transition.kind === 'fadeIn') {
+      return { ring: transition.to, label: ringCentroid(transition.to), opacity: t };
+    }
+    if (transition.kind === 'fadeOut') {
+      return { ring: transition.from, label: ringCentroid(transition.from), opacity: 1 - t };
+    }
+
+    return {
+      ring: transition.from.map((p, i) => lerpPoint(p, transition.to[i], t)),
+      label: lerpPoint(transition.path[0], transition.path[1], t),
+      opacity: 1
+    };
+  }
+};
+
+// Expor para uso em outros scripts
+window.frameInterpolation = frameInterpolation;
@@ -0,0 +1,108 @@
+/**
+ * Leitura de arquivos e pastas do disco local
+ *
+ * Converte as diferentes origens oferecidas pelo navegador (arrastar e soltar,
+ * seletor de diretório e input com webkitdirectory) em uma lista única de
+ * { path, file }, onde path é o caminho relativo à pasta escolhida.
+ */
+
+/**
+ * Lê todas as entradas de um diretório (readEntries devolve os itens em lotes)
+ */
+function readAllDirectoryEntries(reader) {
+  return new Promise((resolve, reject) => {
+    const entries = [];
+    const readBatch = () => {
+      reader.readEntries(batch => {
+        if (!batch.length) {
+          resolve(entries);
+          return;
+        }
+        entries.push(...batch);
+        readBatch();
+      }, reject);
+    };
+    readBatch();
+  });
+}
+
+/**
+ * Percorre recursivamente uma entrada de arrastar e soltar (FileSystemEntry)
+ */
+function walkDroppedEntry(entry, parentPath) {
+  const path = parentPath ? `${parentPath}/${entry.name}` : entry.name;
+
+  if (entry.isFile) {
+    return new Promise((resolve, reject) => entry.file(file => resolve([{ path, file }]), reject));
+  }
+
+  if (entry.isDirectory) {
+    return readAllDirectoryEntries(entry.createReader())
+      .then(children => Promise.all(children.map(child => walkDroppedEntry(child, path))))
+      .then(results => results.flat());
+  }
+
+  return Promise.resolve([]);
+}
+
+/**
+ * Percorre recursivamente um diretório obtido com showDirectoryPicker
+ */
+function walkDirectoryHandle(handle, parentPath) {
+  const path = parentPath ? `${parentPath}/${handle.name}` : handle.name;
+  const iterator = handle.values();
+  const files = [];
+
+  const next = () => iterator.next().then(({ done, value: child }) => {
+    if (done) return files;
+
+    let step = Promise.resolve();
+    if (child.kind === 'file') {
+      step = child.getFile().then(file => files.push({ path: `${path}/${child.name}`, file }));
+    } else if (child.kind === 'directory') {
+      step = walkDirectoryHandle(child, path).then(children => files.push(...children));
+    }
+    return step.then(next);
+  });
+
+  return next();
+}
+
+const localFiles = {
+  /**
+   * Indica se o navegador oferece o seletor de diretório nativo
+   */
+  supportsDirectoryPicker: () => typeof window.showDirectoryPicker === 'function',
+
+  /**
+   * Lê os arquivos de um evento de arrastar e soltar (pastas e arquivos soltos)
+   */
+  fromDataTransfer: dataTransfer => {
+    const entries = Array.from(dataTransfer.items || [])
+      .filter(item => item.kind === 'file')
+      .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null));
+
+    // Navegadores sem suporte a entradas: usar apenas os arquivos soltos
+    if (!entries.length || entries.some(entry => !entry)) {
+      return Promise.resolve(localFiles.fromFileList(dataTransfer.files));
+    }
+
+    return Promise.all(entries.map(entry => walkDroppedEntry(entry, ''))).then(results => results.flat());
+  },
+
+  /**
+   * Abre o seletor de diretório nativo e lê todos os arquivos da pasta
+   */
+  pickDirectory: () => window.showDirectoryPicker().then(handle => walkDirectoryHandle(handle, '')),
+
+  /**
+   * Converte um FileList (input com webkitdirectory ou multiple) em { path, file }
+   */
+  fromFileList: fileList => Array.from(fileList || []).map(file => ({
+    path: file.webkitRelativePath || file.name,
+    file
+  }))
+};
+
+// Expor para uso em outros scripts
+window.localFiles = localFiles;
@@ -5,18 +5,27 @@
 // Configurações do player
 const PLAYER_CONFIG = {
   MIN_SPEED: 0.5,
-  MAX_SPEED: 5,
-  DEFAULT_SPEED: 2,
-  SPEED_STEP: 0.1,
-  ANIMATION_DURATION: 300
+  MAX_SPEED: 10,
+  DEFAULT_SPEED: 2,   // Frames por segundo
+  SPEED_STEP: 0.5,
+  ANIMATION_DURATION: 300,
+  MODES: ['once', 'loop', 'pingpong'],
+  DEFAULT_MODE: 'loop'
 };
 
 // Estado do player
 const playerState = {
   isPlaying: false,
   currentSpeed: PLAYER_CONFIG.DEFAULT_SPEED,
-  playInterval: null,
-  lastUpdate: 0
+  mode: PLAYER_CONFIG.MODES.includes(localStorage.getItem('playMode'))
+    ? localStorage.getItem('playMode')
+    : PLAYER_CONFIG.DEFAULT_MODE,
+  direction: 1,        // 1 = para frente, -1 = para trás (ping-pong)
+  range: { start: null, end: null }, // Intervalo in/out (índices de frame)
+  timer: null,
+  nextTick: 0,         // Instante (ms) previsto para o próximo frame
+  source: null,        // Fonte de frames registrada pelo script principal
+  listeners: {}        // Evento -> [callbacks]
 };
 
 // Elementos do DOM
@@ -26,7 +35,11 @@ const elements = {
   speedValue: document.getElementById('speedValue'),
   playPause: document.getElementById('playPause'),
   prevLayer: document.getElementById('prevLayer'),
-  nextLayer: document.getElementById('nextLayer')
+  nextLayer: document.getElementById('nextLayer'),
+  playMode: document.getElementById('playMode'),
+  setIn: document.getElementById('setIn'),
+  setOut: document.getElementById('setOut'),
+  clearRange: document.getElementById('clearRange')
 };
 
 // Atualiza a variável CSS que controla a visualização do progresso
@@ -60,32 +73,161 @@ function updateSpeedProgress() {
   }
 }
 
+// ============ EVENTOS ============
+// Registra um callback para um evento: 'play', 'pause', 'frame', 'ended' ou 'range'
+function on(event, callback) {
+  if (!playerState.listeners[event]) playerState.listeners[event] = [];
+  playerState.listeners[event].push(callback);
+}
+
+// Remove um callback registrado
+function off(event, callback) {
+  playerState.listeners[event] = (playerState.listeners[event] || []).filter(listener => listener !== callback);
+}
+
+// Dispara um evento com o estado atual do player
+function emit(event, detail = {}) {
+  const payload = { ...getState(), ...detail };
+  (playerState.listeners[event] || []).forEach(listener => listener(payload));
+}
+
+// ============ FONTE DE FRAMES ============
+// Registra a fonte de frames: { count(), index(), show(index), allowStep(from, to) }
+function attach(source) {
+  pause();
+  playerState.source = source;
+  playerState.range = { start: null, end: null };
+  emit('range');
+}
+
+function frameCount() {
+  return playerState.source ? playerState.source.count() : 0;
+}
+
+function currentIndex() {
+  return playerState.source ? playerState.source.index() : 0;
+}
+
+// Limites [primeiro, último] da reprodução, considerando o intervalo in/out
+function getBounds() {
+  const last = Math.max(0, frameCount() - 1);
+  const start = playerState.range.start !== null ? Math.min(playerState.range.start, last) : 0;
+  const end = playerState.range.end !== null ? Math.min(playerState.range.end, last) : last;
+  return start <= end ? [start, end] : [end, start];
+}
+
+// Estado atual do player
+function getState() {
+  const [start, end] = getBounds();
+  return {
+    isPlaying: playerState.isPlaying,
+    index: currentIndex(),
+    count: frameCount(),
+    fps: playerState.currentSpeed,
+    mode: playerState.mode,
+    direction: playerState.direction,
+    range: {
+      start: playerState.range.start !== null ? start : null,
+      end: playerState.range.end !== null ? end : null
+    }
+  };
+}
+
+// Exibe um frame pela fonte registrada
+function seek(index) {
+  if (!playerState.source) return;
+  const count = frameCount();
+  if (!count) return;
+  playerState.source.show(Math.max(0, Math.min(count - 1, index)));
+}
+
+// Chamado pela fonte quando um frame é exibido
+function notifyFrame(index) {
+  emit('frame', { index });
+}
+
+// ============ REPRODUÇÃO ============
+// Calcula o próximo frame conforme o modo; null quando a reprodução termina
+function nextPlaybackIndex() {
+  const [first, last] = getBounds();
+  const current = currentIndex();
+  
+  // Fora do intervalo: recomeçar pela borda correspondente à direção
+  if (current < first || current > last) {
+    return playerState.direction > 0 ? first : last;
+  }
+  
+  const next = current + playerState.direction;
+  if (next >= first && next <= last) return next;
+  
+  if (playerState.mode === 'loop') {
+    return playerState.direction > 0 ? first : last;
+  }
+  if (playerState.mode === 'pingpong' && first !== last) {
+    playerState.direction = -playerState.direction;
+    return current + playerState.direction;
+  }
+  return null;
+}
+
+// Avança um frame na reprodução
+function advance() {
+  const current = currentIndex();
+  const next = nextPlaybackIndex();
+  
+  if (next === null) {
+    pause();
+    emit('ended');
+    return;
+  }
+  
+  // A fonte pode interromper a reprodução (por exemplo, em uma lacuna de tempo)
+  if (playerState.source.allowStep && !playerState.source.allowStep(current, next)) {
+    pause();
+    return;
+  }
+  
+  seek(next);
+}
+
+// Agenda o próximo frame pelo relógio, sem acumular atraso entre frames
+function scheduleTick() {
+  const interval = 1000 / playerState.currentSpeed;
+  playerState.nextTick += interval;
+  
+  const now = Date.now();
+  // Se a aba ficou inativa, não tentar recuperar os frames perdidos
+  if (playerState.nextTick < now - interval) playerState.nextTick = now;
+  
+  playerState.timer = setTimeout(() => {
+    if (!playerState.isPlaying) return;
+    advance();
+    if (playerState.isPlaying) scheduleTick();
+  }, Math.max(0, playerState.nextTick - now));
+}
+
 // Inicia a reprodução
 function play() {
-  if (playerState.isPlaying) return;
+  if (playerState.isPlaying || frameCount() < 2) return;
+  
+  // Modo "once" no fim do intervalo: recomeçar do início
+  const [first, last] = getBounds();
+  if (playerState.mode === 'once' && currentIndex() === (playerState.direction > 0 ? last : first)) {
+    playerState.direction = 1;
+    seek(first);
+  }
+  if (playerState.mode !== 'pingpong') playerState.direction = 1;
   
   playerState.isPlaying = true;
-  playerState.lastUpdate = Date.now();
+  playerState.nextTick = Date.now();
   
   // Atualizar ícone do botão
   if (elements.playPause) {
     elements.playPause.innerHTML = '<i class="fas fa-pause"></i>';
   }
   
-  // Iniciar intervalo de reprodução
-  playerState.playInterval = setInterval(() => {
-    const now = Date.now();
-    const delta = now - playerState.lastUpdate;
-    playerState.lastUpdate = now;
-    
-    // Avançar para o próximo frame
-    if (elements.timeline && elements.timeline.value < elements.timeline.max) {
-      elements.timeline.value = Number(elements.timeline.value) + 1;
-      elements.timeline.dispatchEvent(new Event('input'));
-    } else {
-      pause();
-    }
-  }, 1000 / playerState.currentSpeed);
+  scheduleTick();
+  emit('play');
 }
 
 // Pausa a reprodução
@@ -99,11 +241,13 @@ function pause() {
     elements.playPause.innerHTML = '<i class="fas fa-play"></i>';
   }
   
-  // Limpar intervalo
-  if (playerState.playInterval) {
-    clearInterval(playerState.playInterval);
-    playerState.playInterval = null;
+  // Limpar temporizador
+  if (playerState.timer) {
+    clearTimeout(playerState.timer);
+    playerState.timer = null;
   }
+  
+  emit('pause');
 }
 
 // Alterna entre play e pause
@@ -117,37 +261,65 @@ function togglePlay() {
 
 // Vai para o frame anterior
 function prevFrame() {
-  if (!elements.timeline) return;
-  
   pause();
-  if (elements.timeline.value > elements.timeline.min) {
-    elements.timeline.value = Number(elements.timeline.value) - 1;
-    elements.timeline.dispatchEvent(new Event('input'));
-  }
+  if (currentIndex() > 0) seek(currentIndex() - 1);
 }
 
 // Vai para o próximo frame
 function nextFrame() {
-  if (!elements.timeline) return;
-  
   pause();
-  if (elements.timeline.value < elements.timeline.max) {
-    elements.timeline.value = Number(elements.timeline.value) + 1;
-    elements.timeline.dispatchEvent(new Event('input'));
-  }
+  if (currentIndex() < frameCount() - 1) seek(currentIndex() + 1);
 }
 
-// Atualiza a velocidade de reprodução
+// Atualiza a velocidade de reprodução (frames por segundo)
 function updateSpeed(value) {
+  if (!(value > 0)) return;
   playerState.currentSpeed = value;
   
-  // Se estiver reproduzindo, reiniciar o intervalo com a nova velocidade
+  // O próximo frame passa a seguir a nova velocidade a partir de agora
   if (playerState.isPlaying) {
-    pause();
-    play();
+    clearTimeout(playerState.timer);
+    playerState.nextTick = Date.now();
+    scheduleTick();
   }
 }
 
+// Define o modo de reprodução: 'once', 'loop' ou 'pingpong'
+function setMode(mode) {
+  if (!PLAYER_CONFIG.MODES.includes(mode)) return;
+  playerState.mode = mode;
+  if (mode !== 'pingpong') playerState.direction = 1;
+  localStorage.setItem('playMode', mode);
+  if (elements.playMode) elements.playMode.value = mode;
+}
+
+// ============ INTERVALO IN/OUT ============
+// Define o início do intervalo (padrão: frame atual)
+function setIn(index = currentIndex()) {
+  playerState.range.start = index;
+  emit('range');
+}
+
+// Define o fim do intervalo (padrão: frame atual)
+function setOut(index = currentIndex()) {
+  playerState.range.end = index;
+  emit('range');
+}
+
+// Remove o intervalo, voltando a reproduzir toda a timeline
+function clearRange() {
+  playerState.range = { start: null, end: null };
+  emit('range');
+}
+
+// Ajusta o intervalo quando um frame é inserido antes dele (frames publicados ao vivo)
+function frameInserted(index) {
+  const { start, end } = playerState.range;
+  if (start !== null && index <= start) playerState.range.start = start + 1;
+  if (end !== null && index <= end) playerState.range.end = end + 1;
+  if (start !== null || end !== null) emit('range');
+}
+
 // Inicialização do código quando o DOM estiver carregado
 document.addEventListener("DOMContentLoaded", function() {
   // Configurar timeline
@@ -203,8 +375,29 @@ document.addEventListener("DOMContentLoaded", function() {
     elements.nextLayer.addEventListener('click', nextFrame);
   }
   
+  // Configurar modo de reprodução e intervalo in/out
+  if (elements.playMode) {
+    elements.playMode.value = playerState.mode;
+    elements.playMode.addEventListener('change', () => setMode(elements.playMode.value));
+  }
+  
+  if (elements.setIn) {
+    elements.setIn.addEventListener('click', () => setIn());
+  }
+  
+  if (elements.setOut) {
+    elements.setOut.addEventListener('click', () => setOut());
+  }
+  
+  if (elements.clearRange) {
+    elements.clearRange.addEventListener('click', clearRange);
+  }
+  
   // Adicionar suporte a teclas de atalho
   document.addEventListener('keydown', (event) => {
+    // Não interferir na digitação em campos de formulário
+    if (event.target.closest && event.target.closest('input, select, textarea')) return;
+    
     switch(event.key) {
       case ' ':
         event.preventDefault();
@@ -216,16 +409,34 @@ document.addEventListener("DOMContentLoaded", function() {
       case 'ArrowRight':
         nextFrame();
         break;
+      case 'i':
+        setIn();
+        break;
+      case 'o':
+        setOut();
+        break;
     }
   });
 });
 
 // Expor funções para uso em outros scripts
 window.player = {
+  attach,
+  on,
+  off,
+  getState,
+  isPlaying: () => playerState.isPlaying,
   play,
   pause,
   togglePlay,
+  seek,
+  notifyFrame,
   prevFrame,
   nextFrame,
-  updateSpeed
-};
\ No newline at end of file
+  updateSpeed,
+  setMode,
+  setIn,
+  setOut,
+  clearRange,
+  frameInserted
+};
@@ -0,0 +1,210 @@
+/**
+ * Consultas sobre as propriedades dos sistemas
+ *
+ * Interpreta expressões como
+ *   size > 100 AND status IN (NEW, NEW/SPL) AND board = False AND lifetime >= 120
+ * e as compila em uma função aplicada às propriedades de cada feature.
+ *
+ * Gramática (palavras-chave sem distinção de maiúsculas):
+ *   expressão  := termo (OR termo)*
+ *   termo      := fator (AND fator)*
+ *   fator      := NOT fator | ( expressão ) | comparação
+ *   comparação := campo operador valor | campo [NOT] IN ( valor, ... )
+ *   operador   := = | == | != | <> | < | <= | > | >=
+ *
+ * Os valores podem vir entre aspas ou sem elas (NEW/SPL, False, 2.5). As
+ * comparações são numéricas quando os dois lados são números; caso contrário,
+ * = e != comparam o texto sem distinguir maiúsculas. Propriedades ausentes
+ * nunca atendem à comparação.
+ */
+
+// Configurações das consultas
+const QUERY_CONFIG = {
+  OPERATORS: ['<=', '>=', '!=', '<>', '==', '=', '<', '>'],
+  KEYWORDS: ['AND', 'OR', 'NOT', 'IN']
+};
+
+/**
+ * Divide o texto da consulta em tokens { type, value, position }
+ */
+function tokenizeQuery(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')' || char === ',') {
+      tokens.push({ type: char, value: char, position: i });
+      i++;
+    } else if (char === '"' || char === "'") {
+      const end = text.indexOf(char, i + 1);
+      if (end === -1) throw new Error(`Unclosed quote at position ${i + 1}`);
+      tokens.push({ type: 'value', value: text.slice(i + 1, end), quoted: true, position: i });
+      i = end + 1;
+    } else {
+      const operator = QUERY_CONFIG.OPERATORS.find(op => text.startsWith(op, i));
+      if (operator) {
+        tokens.push({ type: 'operator', value: operator, position: i });
+        i += operator.length;
+        continue;
+      }
+
+      // Palavra: tudo até o próximo espaço, parêntese, vírgula ou operador
+      const match = text.slice(i).match(/^[^\s(),=<>!"']+/);
+      if (!match) throw new Error(`Unexpected "${char}" at position ${i + 1}`);
+      const word = match[0];
+      const keyword = word.toUpperCase();
+      tokens.push(QUERY_CONFIG.KEYWORDS.includes(keyword)
+        ? { type: keyword, value: word, position: i }
+        : { type: 'value', value: word, position: i });
+      i += word.length;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Converte um valor em número, ou null quando não for numérico
+ */
+function queryNumber(value) {
+  if (value === null || value === undefined || value === '' || typeof value === 'boolean') return null;
+  const number = Number(value);
+  return isNaN(number) ? null : number;
+}
+
+/**
+ * Compara o valor de uma propriedade com um literal da consulta
+ */
+function compareQueryValue(actual, operator, expected) {
+  if (actual === null || actual === undefined) return false;
+
+  const [a, b] = [queryNumber(actual), queryNumber(expected)];
+  if (a !== null && b !== null) {
+    switch (operator) {
+      case '<': return a < b;
+      case '<=': return a <= b;
+      case '>': return a > b;
+      case '>=': return a >= b;
+      case '!=':
+      case '<>': return a !== b;
+      default: return a === b;
+    }
+  }
+
+  const equal = String(actual).toLowerCase() === String(expected).toLowerCase();
+  if (operator === '=' || operator === '==') return equal;
+  if (operator === '!=' || operator === '<>') return !equal;
+  return false;
+}
+
+/**
+ * Analisa os tokens (descida recursiva) e monta a função de teste
+ */
+function parseQueryTokens(tokens) {
+  let index = 0;
+  const fields = new Set();
+
+  const peek = () => tokens[index];
+  const describe = token => (token ? `"${token.value}" at position ${token.position + 1}` : 'end of query');
+  const expect = type => {
+    const token = tokens[index];
+    if (!token || token.type !== type) throw new Error(`Expected ${type === 'value' ? 'a value' : `"${type}"`} but found ${describe(token)}`);
+    index++;
+    return token;
+  };
+
+  const parseList = () => {
+    expect('(');
+    const values = [expect('value').value];
+    while (peek() && peek().type === ',') {
+      index++;
+      values.push(expect('value').value);
+    }
+    expect(')');
+    return values;
+  };
+
+  const parseComparison = () => {
+    const field = expect('value');
+    if (field.quoted) throw new Error(`Expected a property name but found ${describe(field)}`);
+    const key = field.value;
+    fields.add(key);
+
+    const token = peek();
+    if (token && (token.type === 'IN' || token.type === 'NOT')) {
+      const negated = token.type === 'NOT';
+      index++;
+      if (negated) expect('IN');
+      const values = parseList();
+      return properties => {
+        if (properties[key] === null || properties[key] === undefined) return false;
+        return values.some(value => compareQueryValue(properties[key], '=', value)) !== negated;
+      };
+    }
+
+    const operator = expect('operator').value;
+    const value = expect('value').value;
+    return properties => compareQueryValue(properties[key], operator, value);
+  };
+
+  const parseFactor = () => {
+    const token = peek();
+    if (token && token.type === 'NOT') {
+      index++;
+      const inner = parseFactor();
+      return properties => !inner(properties);
+    }
+    if (token && token.type === '(') {
+      index++;
+      const inner = parseOr();
+      expect(')');
+      return inner;
+    }
+    return parseComparison();
+  };
+
+  const parseAnd = () => {
+    const parts = [parseFactor()];
+    while (peek() && peek().type === 'AND') {
+      index++;
+      parts.push(parseFactor());
+    }
+    return parts.length === 1 ? parts[0] : properties => parts.every(part => part(properties));
+  };
+
+  const parseOr = () => {
+    const parts = [parseAnd()];
+    while (peek() && peek().type === 'OR') {
+      index++;
+      parts.push(parseAnd());
+    }
+    return parts.length === 1 ? parts[0] : properties => parts.some(part => part(properties));
+  };
+
+  const test = parseOr();
+  if (index < tokens.length) throw new Error(`Unexpected ${describe(tokens[index])}`);
+  return { test, fields: Array.from(fields) };
+}
+
+const systemQuery = {
+  /**
+   * Compila o texto de uma consulta em { text, fields, test(properties) }
+   *
+   * Retorna null para uma consulta vazia e lança um Error com a posição do
+   * problema quando a sintaxe é inválida.
+   */
+  compile: text => {
+    const source = String(text || '').trim();
+    if (!source) return null;
+
+    const { test, fields } = parseQueryTokens(tokenizeQuery(source));
+    return { text: source, fields, test };
+  }
+};
+
+// Expor para uso em outros scripts
+window.systemQuery = systemQuery;
@@ -11,8 +11,27 @@ const CONFIG = {
   DISPLAY_KEYS: ['uid', 'status', 'size', 'max', 'ang_','expansion'],
   DEFAULT_THRESHOLD: "2.5",
   AUTO_CHECK_INTERVAL: 60000, // 60 segundos
-  TIME_OFFSET: 0, // UTC-3 horas
-  TIME_INCREMENT: 0, // +10 minutos
+  FOLLOW_LATEST_IDLE: 30000, // Tempo sem navegação manual para voltar a seguir o último frame
+  SCAN_DELAY: 100, // Intervalo (ms) entre frames na indexação em segundo plano
+  SCAN_MAX_DOWNLOADS: 500, // Limite de frames baixados por varredura quando a indexação completa está ativa
+  MANIFEST_URL: "manifest.json", // Lista de frames publicada junto ao diretório track/
+  DATA_SOURCE_LABELS: {
+    manifest: "manifest.json",
+    directory: "Directory listing",
+    github: "GitHub API",
+    local: "Local folder",
+    table: "Tracking table"
+  },
+  INTERPOLATION: {
+    DEFAULT_STEPS: 4,   // Sub-etapas desenhadas entre dois frames
+    MAX_STEPS: 12,
+    MIN_STEP_MS: 30     // Duração mínima de cada sub-etapa
+  },
+  TIMELINE: {
+    MAX_TICKS: 8, // Número máximo de rótulos de data/hora
+    TICK_INTERVALS: [10, 15, 30, 60, 120, 180, 360, 720, 1440, 2880, 10080], // Minutos
+    THUMB_WIDTH: 15 // Largura do marcador da timeline (px), igual ao CSS
+  },
   DIRECTORIES: {
     BOUNDARY: "track/boundary/",
     TRAJECTORY: "track/trajectory/"
@@ -46,8 +65,92 @@ const CONFIG = {
       }
     }
   },
+  ONION_SKIN: {
+    DEFAULT_FRAMES: 3,
+    MAX_FRAMES: 12,
+    MAX_OPACITY: 0.6 // Opacidade do frame anterior mais recente; os mais antigos esmaecem
+  },
+  NOWCAST: {
+    HISTORY: 3,             // Deslocamentos recentes usados para estimar a velocidade
+    MAX_STEPS: 3,
+    SPEED_UNCERTAINTY: 0.3, // Fração do deslocamento somada ao raio de incerteza
+    MIN_RADIUS_FRACTION: 0.25, // Raio mínimo de incerteza por passo, em fração do raio médio do sistema
+    EXPANSION_UNIT: 1e-6,   // Unidade de `expansion` (1/A · dA/dt, em 10⁻⁶ s⁻¹)
+    MAX_AREA_FACTOR: 4      // Limite da expansão/contração de área por previsão
+  },
+  COLOR_RAMPS: {
+    // Rampa sequencial (aproximação da viridis)
+    SEQUENTIAL: ["#440154", "#3b528b", "#21918c", "#5ec962", "#fde725"],
+    // Rampa divergente (azul-vermelho), centrada em zero quando os valores mudam de sinal
+    DIVERGING: ["#2166ac", "#67a9cf", "#f7f7f7", "#ef8a62", "#b2182b"]
+  },
+  CHOROPLETH: {
+    VARIABLES: ['max', 'mean', 'size', 'expansion', 'lifetime'],
+    RAMPS: { sequential: "Sequential", diverging: "Diverging" },
+    SCALES: { run: "Fixed for the whole run", frame: "Per frame" },
+    FILL_OPACITY: 0.5,
+    MISSING_COLOR: "#999999" // Sistemas sem valor numérico
+  },
+  NESTED: {
+    // Estilos dos demais thresholds, do mais externo ao mais interno
+    STYLES: [
+      { color: "#f1c40f", weight: 1, opacity: 0.9, fillOpacity: 0, dashArray: "6 4" },
+      { color: "#e67e22", weight: 1.5, opacity: 0.9, fillOpacity: 0.05 },
+      { color: "#e74c3c", weight: 1.5, opacity: 0.9, fillOpacity: 0.1, dashArray: "2 3" },
+      { color: "#9b59b6", weight: 2, opacity: 0.9, fillOpacity: 0.1 }
+    ],
+    LINK: { color: "#ecf0f1", weight: 1, opacity: 0.5, dashArray: "2 3" } // Ligação interno → externo
+  },
+  UID_SEARCH: {
+    MAX_RESULTS: 12,
+    MAX_ZOOM: 8,          // Zoom máximo ao enquadrar o sistema encontrado
+    FIT_PADDING: [40, 40]
+  },
+  // Status de ciclo de vida do pyfortracc, na ordem de exibição
+  STATUSES: ['NEW', 'CON', 'MRG', 'SPL', 'NEW/SPL', 'MRG/SPL'],
+  STATUS_COLORS: {
+    'NEW': '#2ecc71',
+    'CON': '#95a5a6',
+    'MRG': '#e67e22',
+    'SPL': '#3498db',
+    'NEW/SPL': '#9b59b6',
+    'MRG/SPL': '#e84393'
+  },
+  // Contorno e ícone do centroide de cada status (simbologia por status)
+  STATUS_SYMBOLS: {
+    'NEW': { dashArray: null, icon: 'fa-star' },
+    'CON': { dashArray: null, icon: 'fa-circle' },
+    'MRG': { dashArray: '8 4', icon: 'fa-compress-alt' },
+    'SPL': { dashArray: '2 4', icon: 'fa-expand-alt' },
+    'NEW/SPL': { dashArray: '8 4 2 4', icon: 'fa-code-branch' },
+    'MRG/SPL': { dashArray: '12 3 3 3', icon: 'fa-random' }
+  },
+  UNKNOWN_STATUS: { color: '#bdc3c7', dashArray: null, icon: 'fa-question' }, // Status fora da lista
+  STATISTICS: {
+    VARIABLES: ['size', 'max', 'mean', 'lifetime', 'expansion'],
+    BINS: 20,
+    PER_SYSTEM: ['lifetime'] // No período, cada sistema conta uma vez (maior valor)
+  },
+  GENEALOGY: {
+    MAX_DEPTH: 3,     // Gerações percorridas a partir do sistema selecionado
+    ROW_HEIGHT: 22,   // Altura (px) de cada sistema no gráfico
+    LABEL_WIDTH: 70,  // Largura (px) reservada aos rótulos de UID
+    COLORS: { merge: "#e67e22", split: "#3498db" }
+  },
+  TRACK_MAP: {
+    COLOR_BY: {
+      lifetime: "Lifetime",
+      max: "Max intensity",
+      start: "Start time"
+    }
+  },
   STYLES: {
     BOUNDARY: { color: "#3388ff", weight: 1, opacity: 1, fillOpacity: 0.2 },
+    TRACK_MAP: { weight: 2, opacity: 0.85 }, // Trajetos do período completo
+    NOWCAST: { color: "#ff9800", weight: 2, opacity: 0.9, fillOpacity: 0.1, dashArray: "6 4" }, // Fronteira prevista
+    NOWCAST_CONE: { color: "#ff9800", weight: 1, opacity: 0.5, fillOpacity: 0.08 },
+    NOWCAST_OBSERVED: { color: "#2ecc71", weight: 2, opacity: 0.9, fillOpacity: 0.8 }, // Posição observada
+    ONION_SKIN: { color: "#9fb3c8", weight: 1, fillOpacity: 0.08, dashArray: "3 3" }, // Frames anteriores
     TRAJECTORY: { color: "#FF0000", weight: 2, opacity: 0.7 },
     SELECTED: { color: "#FF00FF", weight: 3, opacity: 1, fillOpacity: 0.3 } // Estilo para polígono selecionado
   },
@@ -57,12 +160,26 @@ const CONFIG = {
   },
   CHART: {
     EVOLUTION_VARIABLES: ['max', 'size', 'expansion','inside_clusters'], // Variáveis que podem ser exibidas no gráfico de evolução
-    DEFAULT_VARIABLE: 'max' // Variável exibida por padrão
+    DEFAULT_VARIABLE: 'max', // Variável exibida por padrão
+    // Unidade de cada variável: variáveis com a unidade da primeira selecionada
+    // usam o eixo y esquerdo e as demais o direito
+    UNITS: { max: 'intensity', size: 'area', expansion: 'rate', inside_clusters: 'count' },
+    DERIVED: {
+      growthRate: "Growth rate (/h)",
+      movingAverage: "Moving average"
+    },
+    MOVING_AVERAGE_WINDOW: 3, // Frames na média móvel
+    ZOOM_FACTOR: 1.2,         // Zoom do eixo x a cada passo da roda do mouse
+    ALIGN: {
+      absolute: "Absolute time",
+      genesis: "Time since genesis"
+    },
+    // Cores das séries (e dos polígonos) quando há vários sistemas selecionados
+    SERIES_COLORS: ["#4bc0c0", "#ff6384", "#ffcd56", "#36a2eb", "#9966ff", "#ff9f40", "#2ecc71", "#e84393"]
   },
   DOM_IDS: {
     POLYGON_CHART_CONTAINER: 'polygon-chart-container',
-    POLYGON_CHART: 'polygon-chart',
-    VARIABLE_SELECTOR: 'variable-selector'
+    POLYGON_CHART: 'polygon-chart'
   }
 };
 
@@ -70,9 +187,86 @@ const CONFIG = {
 const state = {
   geojsonLayers: [],
   trajectoryFiles: {},
+  dataSource: null, // Origem da lista de arquivos (manifest, directory ou github)
+  thresholds: null, // Thresholds informados pelo manifest, quando houver
+  frameSummaries: {}, // Resumo de cada frame indexado (contagem de sistemas por threshold)
+  scanToken: 0,       // Identifica a varredura em segundo plano em andamento
+  lifecycleToken: 0,  // Identifica a indexação do ciclo de vida do sistema selecionado
+  scanAll: localStorage.getItem('scanAllFrames') === 'true', // Baixar também os frames fora do cache para indexá-los
   currentIndex: 0,
-  playing: false,
-  playInterval: null,
+  followLatest: localStorage.getItem('followLatest') === 'true', // Saltar para novos frames publicados
+  lastUserNavigation: 0,   // Momento da última navegação manual na timeline
+  timelineDragging: false, // Usuário está arrastando a timeline
+  timeAxis: { times: [], step: null, positions: [], gaps: [] }, // Eixo de tempo real da timeline
+  gapMode: localStorage.getItem('gapMode') || 'skip', // Reprodução em lacunas: 'skip' ou 'pause'
+  gapPausedAt: null,       // Índice em que a reprodução parou por causa de uma lacuna
+  onionSkin: {
+    enabled: localStorage.getItem('onionSkinEnabled') === 'true', // Exibir fronteiras dos frames anteriores
+    frames: parseInt(localStorage.getItem('onionSkinFrames')) || CONFIG.ONION_SKIN.DEFAULT_FRAMES
+  },
+  trackMap: {
+    enabled: false,        // Exibir os trajetos de todos os sistemas do período
+    period: 'all',         // 'all' ou 'range' (intervalo in/out do player)
+    colorBy: localStorage.getItem('trackMapColorBy') || 'lifetime',
+    requestId: 0           // Descarta respostas de consultas anteriores
+  },
+  statistics: {
+    enabled: localStorage.getItem('statisticsEnabled') === 'true', // Painel de distribuições
+    variable: 'size',
+    scope: 'frame',        // 'frame' (frame atual) ou 'period' (todos os frames indexados)
+    groupBy: 'status',     // 'status' (no threshold atual) ou 'threshold'
+    requestId: 0
+  },
+  choropleth: {
+    variable: localStorage.getItem('choroplethVariable') || '', // Propriedade que colore as fronteiras ('' = cor padrão)
+    ramp: localStorage.getItem('choroplethRamp') || 'sequential',
+    scale: localStorage.getItem('choroplethScale') || 'run', // 'run' (período todo) ou 'frame'
+    runRange: null, // { min, max } do período indexado
+    range: null,    // Intervalo em uso pela rampa
+    requestId: 0
+  },
+  statusSymbology: {
+    enabled: localStorage.getItem('statusSymbology') === 'true', // Contorno e ícone por status
+    hidden: JSON.parse(localStorage.getItem('hiddenStatuses') || '[]'), // Status ocultados na legenda
+    legendKey: null // Contagens e status ocultos da legenda desenhada, para redesenhá-la só quando mudam
+  },
+  renderedThresholds: null, // Thresholds das opções exibidas ("2.5|5"), para recriá-las só quando mudam
+  nested: {
+    enabled: localStorage.getItem('nestedThresholds') === 'true' // Vários thresholds aninhados
+  },
+  query: {
+    compiled: null, // Consulta de atributos ativa ({ text, fields, test }) ou null
+    error: null,    // Erro de sintaxe da última consulta aplicada
+    saved: []       // Consultas salvas [{ name, text }]
+  },
+  uidSearch: {
+    results: [],   // Sugestões exibidas
+    active: -1,    // Sugestão destacada pelo teclado
+    pending: null, // { uid, index } a selecionar quando o frame for exibido
+    requestId: 0
+  },
+  domainSeries: {
+    enabled: localStorage.getItem('domainSeriesEnabled') === 'true', // Séries temporais de todo o domínio
+    key: null // Threshold e status dos gráficos desenhados
+  },
+  genealogy: {
+    enabled: localStorage.getItem('genealogyEnabled') === 'true', // Painel de fusões e divisões
+    key: null,             // UID e threshold da genealogia exibida
+    lineage: null,         // Última genealogia consultada no índice
+    requestId: 0
+  },
+  nowcast: {
+    enabled: localStorage.getItem('nowcastEnabled') === 'true', // Previsão do sistema selecionado
+    allVisible: false,     // Prever também todos os sistemas visíveis
+    steps: parseInt(localStorage.getItem('nowcastSteps')) || 1,
+    requestId: 0
+  },
+  interpolation: {
+    enabled: localStorage.getItem('interpolationEnabled') === 'true', // Animação suave entre frames
+    steps: parseInt(localStorage.getItem('interpolationSteps')) || CONFIG.INTERPOLATION.DEFAULT_STEPS,
+    timers: [],            // Sub-etapas agendadas da transição em andamento
+    overlay: null          // Layer com as fronteiras interpoladas
+  },
   currentThresholdFilter: CONFIG.DEFAULT_THRESHOLD,
   currentBoundaryLayer: null,
   currentTrajectoryLayer: null,
@@ -80,11 +274,15 @@ const state = {
   selection: {
     feature: null,    // Armazena feature selecionada
     layer: null,      // Armazena layer selecionada
-    uid: null         // Armazena o UID do feature selecionado para persistência entre camadas
+    uid: null,        // Armazena o UID do feature selecionado para persistência entre camadas
+    uids: []          // UIDs selecionados com shift-clique (inclui o uid principal)
   },
   chart: {
     instance: null,   // Instância do gráfico ativo
-    container: null   // Referência ao container do gráfico
+    container: null,  // Referência ao container do gráfico
+    align: localStorage.getItem('chartAlign') || 'absolute', // Eixo x: 'absolute' ou 'genesis'
+    variables: JSON.parse(localStorage.getItem('chartVariables') || 'null') || [CONFIG.CHART.DEFAULT_VARIABLE],
+    derived: JSON.parse(localStorage.getItem('chartDerived') || '[]') // Séries derivadas exibidas
   },
   isPanelCollapsed: false,
   currentMapLayer: 'OSM_STANDARD',
@@ -123,24 +321,39 @@ const utils = {
   getBaseName: fileName => fileName.split('/').pop(),
 
   /**
-   * Formata um timestamp para exibição com offset de fuso horário
+   * Formata um timestamp para exibição no fuso selecionado
    */
   formatTimestamp: (timestamp) => {
     if (!timestamp) return "";
     
-    // Converte para objeto Date
-    const date = new Date(timestamp);
+    const time = timeService.parse(timestamp);
     
     // Verifica se a data é válida
-    if (isNaN(date.getTime())) return timestamp;
-    
-    // Ajusta o timestamp por milissegundos para evitar problemas com fusos horários
-    const utcMilliseconds = date.getTime();
-    const offsetMilliseconds = CONFIG.TIME_OFFSET * 60 * 60 * 1000; // -3 horas em milissegundos
-    const adjustedDate = new Date(utcMilliseconds + offsetMilliseconds);
+    if (time === null) return timestamp;
     
-    // Formata a data
-    return adjustedDate.toISOString().replace('T', ' ').substring(0, 19);
+    return `${timeService.format(time, { seconds: true })} (${timeService.zoneLabel(time)})`;
+  },
+
+  /**
+   * Formata uma duração em milissegundos (ex.: "3 h", "1 h 30 min")
+   */
+  formatDuration: (milliseconds) => {
+    const totalMinutes = Math.round(milliseconds / 60000);
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    if (!hours) return `${minutes} min`;
+    return minutes ? `${hours} h ${minutes} min` : `${hours} h`;
+  },
+
+  /**
+   * Cor de uma rampa (lista de cores hex) na posição t ∈ [0, 1]
+   */
+  colorRamp: (stops, t) => {
+    const position = Math.max(0, Math.min(1, isNaN(t) ? 0 : t)) * (stops.length - 1);
+    const i = Math.min(Math.floor(position), stops.length - 2);
+    const f = position - i;
+    const [a, b] = [stops[i], stops[i + 1]].map(hex => [1, 3, 5].map(k => parseInt(hex.slice(k, k + 2), 16)));
+    return `rgb(${a.map((c, k) => Math.round(c + (b[k] - c) * f)).join(", ")})`;
   },
 
   /**
@@ -285,17 +498,37 @@ document.addEventListener("DOMContentLoaded", () => {
   chartHeaderContainer.appendChild(chartTitle);
   chartHeaderContainer.appendChild(chartHeaderButtons);
 
-  // Adicionar seletor de variável para o gráfico
-  const variableSelector = document.createElement("select");
+  /**
+   * Cria um checkbox com rótulo para as opções do gráfico
+   */
+  const createChartCheckbox = (value, text, checked) => {
+    const label = document.createElement("label");
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.value = value;
+    checkbox.checked = checked;
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(text));
+    return label;
+  };
+
+  // Adicionar seletor de variáveis (várias ao mesmo tempo) para o gráfico
+  const variableSelector = document.createElement("div");
   variableSelector.id = "variable-selector";
+  variableSelector.className = "chart-options";
   CONFIG.CHART.EVOLUTION_VARIABLES.forEach(variable => {
-    const option = document.createElement("option");
-    option.value = variable;
-    option.text = variable.charAt(0).toUpperCase() + variable.slice(1);
-    if (variable === CONFIG.CHART.DEFAULT_VARIABLE) {
-      option.selected = true;
-    }
-    variableSelector.appendChild(option);
+    variableSelector.appendChild(createChartCheckbox(
+      variable,
+      variable.charAt(0).toUpperCase() + variable.slice(1),
+      state.chart.variables.includes(variable)
+    ));
+  });
+
+  // Séries derivadas de cada variável
+  const derivedSelector = document.createElement("div");
+  derivedSelector.className = "chart-options";
+  Object.entries(CONFIG.CHART.DERIVED).forEach(([key, label]) => {
+    derivedSelector.appendChild(createChartCheckbox(key, label, state.chart.derived.includes(key)));
   });
 
   // Criar o corpo do container do gráfico
@@ -305,8 +538,29 @@ document.addEventListener("DOMContentLoaded", () => {
   // Ajustar a altura do canvas para o gráfico
   const chartCanvas = document.createElement("canvas");
   chartCanvas.id = "polygon-chart";
+  const chartCanvasWrapper = document.createElement("div");
+  chartCanvasWrapper.id = "chart-canvas";
+  chartCanvasWrapper.appendChild(chartCanvas);
   chartBody.appendChild(variableSelector);
-  chartBody.appendChild(chartCanvas);
+  chartBody.appendChild(derivedSelector);
+
+  // Seletor de alinhamento do eixo x (tempo absoluto ou desde a gênese)
+  const alignSelector = document.createElement("select");
+  alignSelector.id = "chart-align";
+  Object.entries(CONFIG.CHART.ALIGN).forEach(([value, label]) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.text = label;
+    alignSelector.appendChild(option);
+  });
+  alignSelector.value = state.chart.align;
+  chartBody.appendChild(alignSelector);
+  chartBody.appendChild(chartCanvasWrapper);
+
+  const chartHint = document.createElement("div");
+  chartHint.className = "option-note";
+  chartHint.textContent = "Click or drag to seek · wheel to zoom · shift+drag to pan · double-click to reset";
+  chartBody.appendChild(chartHint);
 
   // Adicionar handle de redimensionamento
   const resizeHandle = document.createElement("div");
@@ -493,9 +747,14 @@ document.addEventListener("DOMContentLoaded", () => {
       }
       
       state.selection.uid = null;
+      state.selection.uids = [];
       state.selection.feature = null;
       state.selection.layer = null;
       updateMarkers();
+      updateOnionSkin();
+      updateNestedThresholds();
+      updateNowcast();
+      updateGenealogy();
     }
   });
 
@@ -512,8 +771,31 @@ document.addEventListener("DOMContentLoaded", () => {
   // Variável para armazenar a instância do gráfico
   let polygonChart = null;
 
-  // Adicionar change event ao seletor de variável
-  variableSelector.addEventListener("change", () => {
+  // Adicionar change event ao seletor de variáveis (ao menos uma permanece marcada)
+  variableSelector.addEventListener("change", e => {
+    const checked = Array.from(variableSelector.querySelectorAll("input:checked")).map(input => input.value);
+    if (!checked.length) {
+      e.target.checked = true;
+      return;
+    }
+    state.chart.variables = checked;
+    localStorage.setItem('chartVariables', JSON.stringify(checked));
+    if (state.selection.feature) {
+      updatePolygonChart(state.selection.feature);
+    }
+  });
+
+  derivedSelector.addEventListener("change", () => {
+    state.chart.derived = Array.from(derivedSelector.querySelectorAll("input:checked")).map(input => input.value);
+    localStorage.setItem('chartDerived', JSON.stringify(state.chart.derived));
+    if (state.selection.feature) {
+      updatePolygonChart(state.selection.feature);
+    }
+  });
+
+  alignSelector.addEventListener("change", () => {
+    state.chart.align = alignSelector.value;
+    localStorage.setItem('chartAlign', state.chart.align);
     if (state.selection.feature) {
       updatePolygonChart(state.selection.feature);
     }
@@ -531,125 +813,275 @@ document.addEventListener("DOMContentLoaded", () => {
   resizeObserver.observe(chartContainer);
 
   /**
-   * Função que coleta dados do polígono em todas as camadas de tempo (versão otimizada)
+   * Função que coleta dados do polígono em todas as camadas de tempo
+   *
+   * A busca é feita no índice do worker (frameIndex) e retorna uma Promise.
    */
   const collectPolygonDataOverTime = (uid) => {
     // Cache dos dados já coletados para evitar reprocessamento
     if (state.dataCache && state.dataCache[uid]) {
-      return state.dataCache[uid];
+      return Promise.resolve(state.dataCache[uid]);
     }
     
-    // Array para armazenar dados temporais ordenados
-    const dataPoints = [];
-    
-    // Percorre todas as camadas para encontrar o mesmo UID
-    state.geojsonLayers.forEach(layer => {
-      if (!layer.geojson || !layer.geojson.features) return;
-      
-      // Encontra o polígono com o UID específico nesta camada
-      const feature = layer.geojson.features.find(f => 
-        f.properties && f.properties.uid === uid);
+    return frameIndex.timeSeries(uid).then(entries => {
+      // Array para armazenar dados temporais ordenados
+      const dataPoints = [];
+      const seenFrames = new Set();
       
-      if (!feature || !feature.properties) return;
+      entries.forEach(entry => {
+        // Considerar apenas a primeira ocorrência do UID em cada frame
+        if (seenFrames.has(entry.fileName)) return;
+        seenFrames.add(entry.fileName);
+        
+        // Extrai o instante do nome do arquivo
+        const time = timeService.parseFileName(entry.fileName);
+        if (time === null) return;
+        
+        // Criar objeto base com o instante (ms, UTC), usado também na ordenação
+        const dataPoint = { time };
+        
+        // Adicionar dinamicamente todas as variáveis configuradas
+        CONFIG.CHART.EVOLUTION_VARIABLES.forEach(variable => {
+          dataPoint[variable] = parseFloat(entry.properties[variable] || 0);
+        });
+        
+        // Armazenar o ponto de dados
+        dataPoints.push(dataPoint);
+      });
       
-      // Extrai timestamp do nome do arquivo
-      const timestamp = extractTimestampFromFileName(layer.fileName);
-      if (!timestamp) return;
+      // Ordenar pelo instante
+      dataPoints.sort((a, b) => a.time - b.time);
       
-      // Criar objeto base com timestamp e data para ordenação
-      const dataPoint = {
-        timestamp: timestamp,
-        originalDate: new Date(timestamp)
+      // Preparar estrutura base para o resultado
+      const timeSeriesData = {
+        times: dataPoints.map(p => p.time)
       };
       
-      // Adicionar dinamicamente todas as variáveis configuradas
+      // Popular dinamicamente os arrays de valores para cada variável
       CONFIG.CHART.EVOLUTION_VARIABLES.forEach(variable => {
-        dataPoint[variable] = parseFloat(feature.properties[variable] || 0);
+        timeSeriesData[variable] = dataPoints.map(p => p[variable]);
       });
       
-      // Armazenar o ponto de dados
-      dataPoints.push(dataPoint);
-    });
-    
-    // Ordenar pelo timestamp real (data)
-    dataPoints.sort((a, b) => a.originalDate - b.originalDate);
-    
-    // Preparar estrutura base para o resultado
-    const timeSeriesData = {
-      timestamps: dataPoints.map(p => p.timestamp)
-    };
-    
-    // Popular dinamicamente os arrays de valores para cada variável
-    CONFIG.CHART.EVOLUTION_VARIABLES.forEach(variable => {
-      timeSeriesData[variable] = dataPoints.map(p => p[variable]);
+      // Armazena no cache para uso futuro
+      if (!state.dataCache) state.dataCache = {};
+      state.dataCache[uid] = timeSeriesData;
+      
+      return timeSeriesData;
     });
-    
-    // Armazena no cache para uso futuro
-    if (!state.dataCache) state.dataCache = {};
-    state.dataCache[uid] = timeSeriesData;
-    
-    return timeSeriesData;
   };
 
+  // Identificador da última requisição do gráfico, para descartar respostas antigas
+  let chartRequestId = 0;
+
   /**
-   * Atualiza o gráfico com dados do polígono selecionado
+   * Atualiza o gráfico com os dados dos polígonos selecionados
+   *
+   * Com vários sistemas selecionados (shift-clique), o gráfico sobrepõe uma
+   * série por UID.
    */
   const updatePolygonChart = (feature) => {
     if (!feature || !feature.properties) return;
     
     const props = feature.properties;
     const uid = props.uid || "N/A";
+    const uids = state.selection.uids.length ? state.selection.uids : [uid];
     
     // Atualizar com o novo formato de título
-    chartTitle.textContent = `System Evolution UID: ${uid}`;
+    chartTitle.textContent = uids.length > 1
+      ? `System Evolution: ${uids.length} systems`
+      : `System Evolution UID: ${uid}`;
     
     // Mostrar o container do gráfico
     chartContainer.style.display = "block";
     chartContainer.classList.remove("minimized");
     minimizeButton.innerHTML = "−";
     
-    // Coletar dados ao longo do tempo para este polígono
-    
-    const allTimeSeriesData = collectPolygonDataOverTime(uid);
-    
+    // Coletar dados ao longo do tempo para cada polígono (consulta assíncrona ao worker)
+    const requestId = ++chartRequestId;
+    Promise.all(uids.map(seriesUid => collectPolygonDataOverTime(seriesUid)
+      .then(data => ({ uid: seriesUid, data }))))
+      .then(seriesList => {
+        // Ignorar respostas de seleções ou frames anteriores
+        if (requestId !== chartRequestId) return;
+        renderPolygonChart(seriesList);
+      })
+      .catch(err => console.error("Erro ao consultar a série temporal:", err));
+  };
+
+  /**
+   * Destaca (ou restaura) no mapa o polígono de um UID da legenda do gráfico
+   */
+  const highlightChartPolygon = (uid, highlighted) => {
+    if (!state.currentBoundaryLayer) return;
+    state.currentBoundaryLayer.eachLayer(layer => {
+      if (!layer.feature || layer.feature.properties.uid !== uid) return;
+      layer.setStyle(highlighted ? { ...getSelectionStyle(layer.feature), weight: 6 } : getSelectionStyle(layer.feature));
+      if (highlighted) layer.bringToFront();
+    });
+  };
+
+  /**
+   * Média móvel centrada de uma série (janela em frames)
+   */
+  const movingAverage = (values, window) => values.map((_, i) => {
+    const half = Math.floor(window / 2);
+    const slice = values.slice(Math.max(0, i - half), i + half + 1);
+    return slice.reduce((sum, value) => sum + value, 0) / slice.length;
+  });
+
+  /**
+   * Taxa de variação de uma série por hora (null no primeiro ponto)
+   */
+  const growthRate = (times, values) => values.map((value, i) => {
+    if (!i || times[i] === times[i - 1]) return null;
+    return (value - values[i - 1]) / ((times[i] - times[i - 1]) / 3600000);
+  });
+
+  // Chave do gráfico exibido: com a mesma chave, o gráfico é atualizado sem ser recriado
+  let polygonChartKey = null;
+  // Gênese do sistema principal, usada para converter o eixo x em instante no alinhamento pela gênese
+  let polygonChartGenesis = 0;
+
+  /**
+   * Plugin que desenha o cursor vertical do frame atual
+   */
+  const frameCursorPlugin = {
+    id: 'frameCursor',
+    afterDatasetsDraw: (chart, args, options) => {
+      const { ctx, chartArea, scales } = chart;
+      (options.cursors || []).forEach(cursor => {
+        const x = scales.x.getPixelForValue(cursor.x);
+        if (x < chartArea.left || x > chartArea.right) return;
+        ctx.save();
+        ctx.strokeStyle = cursor.color;
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        ctx.moveTo(x, chartArea.top);
+        ctx.lineTo(x, chartArea.bottom);
+        ctx.stroke();
+        ctx.restore();
+      });
+    }
+  };
+
+  /**
+   * Desenha o gráfico de evolução a partir das séries temporais dos polígonos
+   *
+   * Todo o ciclo de vida é exibido, com um cursor no frame atual. O eixo x é o
+   * tempo absoluto ou o tempo desde a gênese de cada sistema (primeira
+   * ocorrência no índice), conforme o seletor de alinhamento.
+   */
+  const renderPolygonChart = (seriesList) => {
     // Verificar se Chart.js está disponível
     if (typeof Chart === "undefined") {
       console.error("Chart.js não foi carregado ainda");
       return;
     }
     
-    // Encontrar o índice do timestamp atual
+    // Instante do frame atual, marcado pelo cursor
     const currentFileName = state.geojsonLayers[state.currentIndex].fileName;
-    const currentTimestamp = extractTimestampFromFileName(currentFileName);
+    const currentTime = timeService.parseFileName(currentFileName);
     
-    // Filtrar dados até o timestamp atual
-    let currentIndex = allTimeSeriesData.timestamps.findIndex(ts => 
-      new Date(ts) > new Date(currentTimestamp)
-    );
+    const variables = state.chart.variables.filter(variable => CONFIG.CHART.EVOLUTION_VARIABLES.includes(variable));
+    const sinceGenesis = state.chart.align === 'genesis';
+    const multiple = seriesList.length > 1;
+    const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
     
-    // Se não encontrou (findIndex retorna -1), usar todos os dados
-    if (currentIndex === -1) currentIndex = allTimeSeriesData.timestamps.length;
+    // Eixo de cada unidade: a da primeira variável à esquerda, as demais à direita
+    const leftUnit = CONFIG.CHART.UNITS[variables[0]];
+    const axisOf = unit => (unit === leftUnit ? 'y' : 'y1');
+    const axisLabels = { y: new Set(), y1: new Set() };
     
-    // Filtrar dados até o timestamp atual - estrutura base
-    const timeSeriesData = {
-      timestamps: allTimeSeriesData.timestamps.slice(0, currentIndex)
-    };
+    const primary = seriesList.find(series => series.uid === state.selection.uid) || seriesList[0];
+    polygonChartGenesis = primary && primary.data.times.length ? primary.data.times[0] : 0;
     
-    // Adicionar dinamicamente todas as variáveis
-    CONFIG.CHART.EVOLUTION_VARIABLES.forEach(variable => {
-      if (allTimeSeriesData[variable]) {
-        timeSeriesData[variable] = allTimeSeriesData[variable].slice(0, currentIndex);
+    const datasets = [];
+    const cursors = [];
+    seriesList.forEach(({ uid, data }) => {
+      const genesis = data.times[0];
+      const xOf = time => (sinceGenesis ? time - genesis : time);
+      
+      // No alinhamento pela gênese cada sistema tem o seu cursor
+      if (sinceGenesis || !cursors.length) {
+        cursors.push({ x: xOf(currentTime), color: multiple && sinceGenesis ? getSelectionColor(uid) : '#e74c3c' });
       }
+      
+      variables.forEach((variable, variableIndex) => {
+        const colors = CONFIG.CHART.SERIES_COLORS;
+        const color = multiple ? getSelectionColor(uid) : colors[variableIndex % colors.length];
+        const dash = multiple ? [[], [6, 3], [2, 2], [8, 3, 2, 3]][variableIndex % 4] : [];
+        const prefix = multiple ? `UID ${uid} · ` : '';
+        const unit = CONFIG.CHART.UNITS[variable];
+        const values = data[variable];
+        
+        const addSeries = (label, series, axis, extra = {}) => {
+          axisLabels[axis].add(label.replace(prefix, ''));
+          datasets.push({
+            label: prefix + label,
+            uid,
+            data: data.times.map((time, i) => ({ x: xOf(time), y: series[i], time })),
+            yAxisID: axis,
+            borderColor: color,
+            backgroundColor: color,
+            borderDash: dash,
+            tension: 0.1,
+            pointHoverRadius: 6,
+            // Destaque para o ponto do frame atual
+            pointBackgroundColor: context => (context.raw && context.raw.time === currentTime ? 'rgb(255, 0, 0)' : color),
+            pointBorderColor: context => (context.raw && context.raw.time === currentTime ? 'rgb(255, 0, 0)' : color),
+            pointRadius: context => (context.raw && context.raw.time === currentTime ? 6 : 3),
+            ...extra
+          });
+        };
+        
+        addSeries(capitalize(variable), values, axisOf(unit));
+        if (state.chart.derived.includes('movingAverage')) {
+          addSeries(`${capitalize(variable)} (moving avg.)`, movingAverage(values, CONFIG.CHART.MOVING_AVERAGE_WINDOW),
+            axisOf(unit), { borderDash: [6, 4], borderWidth: 1.5, pointRadius: 0 });
+        }
+        if (state.chart.derived.includes('growthRate')) {
+          addSeries(`${capitalize(variable)} growth (/h)`, growthRate(data.times, values),
+            axisOf(`${unit}/h`), { borderDash: [2, 3], borderWidth: 1.5, pointRadius: 0, spanGaps: true });
+        }
+      });
     });
     
-    // Formatar os timestamps para melhor legibilidade
-    const formattedLabels = timeSeriesData.timestamps.map(ts => {
-      // Extrair apenas a parte de hora:minuto
-      return ts.split(' ')[1];
-    });
+    // Mesmo gráfico: atualizar os dados e o cursor mantendo zoom e posição
+    const key = JSON.stringify([seriesList.map(series => series.uid), variables, state.chart.derived, state.chart.align]);
+    if (polygonChart && polygonChartKey === key) {
+      polygonChart.data.datasets.forEach((dataset, i) => Object.assign(dataset, datasets[i]));
+      polygonChart.options.plugins.frameCursor.cursors = cursors;
+      polygonChart.update('none');
+      return;
+    }
+    polygonChartKey = key;
     
-    // Obter a variável selecionada
-    const selectedVariable = document.getElementById(CONFIG.DOM_IDS.VARIABLE_SELECTOR).value;
+    // Rótulos do eixo x conforme o alinhamento (instante no fuso selecionado ou duração)
+    const formatX = value => (sinceGenesis ? utils.formatDuration(value) : timeService.format(value, { timeOnly: true }));
+    const axisTitle = axis => Array.from(axisLabels[axis]).join(', ');
+    const yAxis = (axis, position) => ({
+      position,
+      display: axisLabels[axis].size > 0,
+      title: {
+        display: true,
+        text: axisTitle(axis),
+        color: '#f0f0f0' // Cor clara para o título do eixo Y
+      },
+      ticks: {
+        callback: function(value) {
+          return Number.isInteger(value) ? value : value.toFixed(2);
+        },
+        color: '#e0e0e0', // Cor clara para os rótulos do eixo Y
+        maxTicksLimit: 8 // Limitar número de ticks no eixo Y
+      },
+      grid: {
+        color: 'rgba(160, 160, 160, 0.3)', // Linhas de grade mais claras e sutis
+        drawOnChartArea: axis === 'y' // Apenas a grade do eixo esquerdo
+      },
+      beginAtZero: true,
+      grace: '10%' // Pequeno espaço acima do valor máximo
+    });
     
     // Destruir gráfico anterior se existir
     if (polygonChart) {
@@ -660,55 +1092,41 @@ document.addEventListener("DOMContentLoaded", () => {
     const chartElement = document.getElementById(CONFIG.DOM_IDS.POLYGON_CHART);
     polygonChart = new Chart(chartElement, {
       type: 'line',
-      data: {
-        labels: formattedLabels,
-        datasets: [{
-          label: selectedVariable.charAt(0).toUpperCase() + selectedVariable.slice(1),
-          data: timeSeriesData[selectedVariable],
-          borderColor: 'rgb(75, 192, 192)',
-          backgroundColor: 'rgba(75, 192, 192, 0.2)',
-          tension: 0.1,
-          pointRadius: 4,
-          pointHoverRadius: 6,
-          // Destaque para o último ponto
-          pointBackgroundColor: (context) => {
-            return context.dataIndex === timeSeriesData.timestamps.length - 1 ? 
-              'rgb(255, 0, 0)' : 'rgb(75, 192, 192)';
-          },
-          pointBorderColor: (context) => {
-            return context.dataIndex === timeSeriesData.timestamps.length - 1 ? 
-              'rgb(255, 0, 0)' : 'rgb(75, 192, 192)';
-          },
-          pointRadius: (context) => {
-            return context.dataIndex === timeSeriesData.timestamps.length - 1 ? 
-              6 : 4;
-          },
-          pointStyle: (context) => {
-            return context.dataIndex === timeSeriesData.timestamps.length - 1 ? 
-              'circle' : 'circle';
-          }
-        }]
-      },
+      data: { datasets },
+      plugins: [frameCursorPlugin],
       options: {
         responsive: true,
         maintainAspectRatio: false, // Crucial para controle correto de dimensões
+        animation: {
+          duration: 1000,
+          easing: 'easeInOutQuart'
+        },
+        interaction: {
+          mode: 'nearest',
+          intersect: false
+        },
         plugins: {
+          frameCursor: { cursors },
           legend: {
             display: true,
             position: 'top',
             labels: {
               color: '#f0f0f0' // Cor clara para as legendas
-            }
+            },
+            // Clicar alterna a série; passar o mouse destaca o polígono no mapa
+            onHover: (e, item) => highlightChartPolygon(polygonChart.data.datasets[item.datasetIndex].uid, true),
+            onLeave: (e, item) => highlightChartPolygon(polygonChart.data.datasets[item.datasetIndex].uid, false)
           },
           tooltip: {
             callbacks: {
               title: (items) => {
                 // Mostrar o timestamp completo apenas no tooltip
-                const idx = items[0].dataIndex;
-                return `Timestamp: ${timeSeriesData.timestamps[idx]}`;
+                const time = items[0].raw.time;
+                return `Timestamp: ${timeService.format(time)} (${timeService.zoneLabel(time)})`;
               },
+              label: (context) => `${context.dataset.label}: ${utils.formatNumber(context.parsed.y)}`,
               afterLabel: (context) => {
-                return context.dataIndex === timeSeriesData.timestamps.length - 1 ? 
+                return context.raw.time === currentTime ? 
                   'Atual' : '';
               }
             },
@@ -721,15 +1139,17 @@ document.addEventListener("DOMContentLoaded", () => {
         },
         scales: {
           x: {
+            type: 'linear',
             title: {
               display: true,
-              text: 'Time',
+              text: sinceGenesis ? 'Time since genesis' : 'Time',
               padding: {
                 top: 10
               },
               color: '#f0f0f0' // Cor clara para o título do eixo X
             },
             ticks: {
+              callback: value => formatX(value),
               maxRotation: 45,
               minRotation: 45,
               autoSkip: true,
@@ -744,58 +1164,85 @@ document.addEventListener("DOMContentLoaded", () => {
               color: 'rgba(160, 160, 160, 0.3)' // Linhas de grade mais claras e sutis
             }
           },
-          y: {
-            title: {
-              display: true,
-              text: selectedVariable.charAt(0).toUpperCase() + selectedVariable.slice(1),
-              color: '#f0f0f0' // Cor clara para o título do eixo Y
-            },
-            ticks: {
-              callback: function(value) {
-                return Number.isInteger(value) ? value : value.toFixed(2);
-              },
-              color: '#e0e0e0', // Cor clara para os rótulos do eixo Y
-              maxTicksLimit: 8 // Limitar número de ticks no eixo Y
-            },
-            grid: {
-              color: 'rgba(160, 160, 160, 0.3)' // Linhas de grade mais claras e sutis
-            },
-            beginAtZero: true,
-            grace: '10%', // Pequeno espaço acima do valor máximo
-          }
+          y: yAxis('y', 'left'),
+          y1: yAxis('y1', 'right')
         }
       }
     });
     
     // Mostrar o container do gráfico
     document.getElementById(CONFIG.DOM_IDS.POLYGON_CHART_CONTAINER).style.display = "block";
+  };
 
-    // Adicionar animação ao gráfico
-    polygonChart.options.animation = {
-      duration: 1000,
-      easing: 'easeInOutQuart'
-    };
-    
-    // Adicionar tooltips personalizados
-    polygonChart.options.plugins.tooltip = {
-      callbacks: {
-        label: (context) => {
-          const value = context.parsed.y;
-          return `${context.dataset.label}: ${utils.formatNumber(value)}`;
-        }
-      }
-    };
-    
-    polygonChart.update();
+  // ============ INTERAÇÃO COM O GRÁFICO ============
+  /**
+   * Instante correspondente a uma posição horizontal do gráfico
+   */
+  const chartTimeAtPixel = x => {
+    const value = polygonChart.scales.x.getValueForPixel(x);
+    return state.chart.align === 'genesis' ? polygonChartGenesis + value : value;
+  };
 
-    // Adicionar configuração para responsividade do gráfico
-    if (polygonChart) {
-      polygonChart.options.responsive = true;
-      polygonChart.options.maintainAspectRatio = false;
-      polygonChart.update();
-    }
+  /**
+   * Salta para o frame mais próximo da posição do ponteiro no gráfico
+   */
+  const seekFromChart = e => {
+    if (!polygonChart) return;
+    const index = nearestFrameIndex(chartTimeAtPixel(e.offsetX));
+    if (index === -1 || index === state.currentIndex) return;
+    markUserNavigation(e);
+    window.player.seek(index);
   };
 
+  /**
+   * Aplica um intervalo ao eixo x (undefined = automático)
+   */
+  const setChartRange = (min, max) => {
+    polygonChart.options.scales.x.min = min;
+    polygonChart.options.scales.x.max = max;
+    polygonChart.update('none');
+  };
+
+  let chartPointer = null; // { mode: 'seek' | 'pan', x, min, max } durante o arrasto
+
+  chartCanvas.addEventListener("mousedown", e => {
+    if (!polygonChart || e.button !== 0) return;
+    const { min, max } = polygonChart.scales.x;
+    chartPointer = { mode: e.shiftKey ? 'pan' : 'seek', x: e.offsetX, min, max };
+    if (chartPointer.mode === 'seek') seekFromChart(e);
+  });
+
+  chartCanvas.addEventListener("mousemove", e => {
+    if (!chartPointer || !polygonChart) return;
+    if (chartPointer.mode === 'seek') {
+      seekFromChart(e);
+      return;
+    }
+    // Arrastar com shift desloca o intervalo visível
+    const { left, right } = polygonChart.chartArea;
+    const shift = ((e.offsetX - chartPointer.x) / (right - left)) * (chartPointer.max - chartPointer.min);
+    setChartRange(chartPointer.min - shift, chartPointer.max - shift);
+  });
+
+  document.addEventListener("mouseup", () => {
+    chartPointer = null;
+  });
+
+  // Roda do mouse: zoom no eixo x em torno do ponteiro
+  chartCanvas.addEventListener("wheel", e => {
+    if (!polygonChart) return;
+    e.preventDefault();
+    const { min, max } = polygonChart.scales.x;
+    const center = polygonChart.scales.x.getValueForPixel(e.offsetX);
+    const factor = e.deltaY < 0 ? 1 / CONFIG.CHART.ZOOM_FACTOR : CONFIG.CHART.ZOOM_FACTOR;
+    setChartRange(center - (center - min) * factor, center + (max - center) * factor);
+  }, { passive: false });
+
+  // Duplo clique restaura o ciclo de vida completo
+  chartCanvas.addEventListener("dblclick", () => {
+    if (polygonChart) setChartRange(undefined, undefined);
+  });
+
   /**
    * Extrai timestamp de um nome de arquivo
    */
@@ -803,23 +1250,8 @@ document.addEventListener("DOMContentLoaded", () => {
     const fileNameMatch = fileName.match(/(\d{4})(\d{2})(\d{2})_(\d{2})(\d{2})/);
     
     if (fileNameMatch) {
-      const [_, year, month, day, hour, minute] = fileNameMatch;
-      
-      // Criar data em UTC e aplicar ajustes
-      const utcDate = new Date(Date.UTC(
-        parseInt(year),
-        parseInt(month) - 1,
-        parseInt(day),
-        parseInt(hour),
-        parseInt(minute)
-      ));
-      
-      const offsetMilliseconds = CONFIG.TIME_OFFSET * 60 * 60 * 1000;
-      const incrementMilliseconds = CONFIG.TIME_INCREMENT * 60 * 1000;
-      const localDate = new Date(utcDate.getTime() + offsetMilliseconds + incrementMilliseconds);
-      
-      // Formatar a data para exibição
-      return localDate.toISOString().replace('T', ' ').substring(0, 16);
+      // Formatar a data para exibição no fuso selecionado
+      return timeService.format(timeService.parseFileName(fileName));
     }
     
     return null;
@@ -838,6 +1270,12 @@ document.addEventListener("DOMContentLoaded", () => {
       zoomDelta: 0.1
     }),
     timelineSlider: document.getElementById("timeline"),
+    timelineTicks: document.getElementById("timeline-ticks"),
+    timelineGaps: document.getElementById("timeline-gaps"),
+    timelineRange: document.getElementById("timeline-range"),
+    activitySparkline: document.getElementById("activity-sparkline"),
+    jumpTimeInput: document.getElementById("jump-time"),
+    gapModeSelect: document.getElementById("gapMode"),
     prevBtn: document.getElementById("prevLayer"),
     playPauseBtn: document.getElementById("playPause"),
     nextBtn: document.getElementById("nextLayer"),
@@ -845,8 +1283,66 @@ document.addEventListener("DOMContentLoaded", () => {
     speedValueSpan: document.getElementById("speedValue"),
     trackInfo: document.getElementById("track-info") || document.getElementById("timestamp-info"),
     dynamicOptionsContainer: document.getElementById("dynamic-options"),
+    dataSource: document.getElementById("data-source"),
+    followLatestCheckbox: document.getElementById("followLatest"),
+    scanAllCheckbox: document.getElementById("scan-all-frames"),
+    openFolderBtn: document.getElementById("open-folder"),
+    folderInput: document.getElementById("folder-input"),
+    importTableBtn: document.getElementById("import-table"),
+    tableInput: document.getElementById("table-input"),
+    dropOverlay: document.getElementById("drop-overlay"),
     showTrajectoryCheckbox: document.getElementById("showTrajectory"),
+    interpolateCheckbox: document.getElementById("interpolate"),
+    onionSkinCheckbox: document.getElementById("onion-skin"),
+    trackMapCheckbox: document.getElementById("track-map"),
+    nowcastCheckbox: document.getElementById("nowcast"),
+    statisticsCheckbox: document.getElementById("statistics"),
+    statsPanel: document.getElementById("stats-panel"),
+    statsClose: document.getElementById("stats-close"),
+    statsVariableSelect: document.getElementById("stats-variable"),
+    statsScopeSelect: document.getElementById("stats-scope"),
+    statsGroupSelect: document.getElementById("stats-group"),
+    statsNote: document.getElementById("stats-note"),
+    statsHistogram: document.getElementById("stats-histogram"),
+    statsBoxPlot: document.getElementById("stats-boxplot"),
+    queryInput: document.getElementById("query-input"),
+    queryApplyButton: document.getElementById("query-apply"),
+    queryClearButton: document.getElementById("query-clear"),
+    querySaveButton: document.getElementById("query-save"),
+    querySavedSelect: document.getElementById("query-saved"),
+    queryDeleteButton: document.getElementById("query-delete"),
+    queryNote: document.getElementById("query-note"),
+    uidSearchInput: document.getElementById("uid-search"),
+    uidSearchResults: document.getElementById("uid-search-results"),
+    uidSearchNote: document.getElementById("uid-search-note"),
+    domainSeriesCheckbox: document.getElementById("domain-series"),
+    domainPanel: document.getElementById("domain-panel"),
+    domainClose: document.getElementById("domain-close"),
+    domainNote: document.getElementById("domain-note"),
+    domainStatusChart: document.getElementById("domain-status-chart"),
+    domainTotalsChart: document.getElementById("domain-totals-chart"),
+    genealogyCheckbox: document.getElementById("genealogy"),
+    genealogyPanel: document.getElementById("genealogy-panel"),
+    genealogyGraph: document.getElementById("genealogy-graph"),
+    genealogyNote: document.getElementById("genealogy-note"),
+    genealogyClose: document.getElementById("genealogy-close"),
+    nowcastAllCheckbox: document.getElementById("nowcast-all"),
+    nowcastStepsSelect: document.getElementById("nowcast-steps"),
+    trackMapPeriodSelect: document.getElementById("track-map-period"),
+    trackMapColorSelect: document.getElementById("track-map-color"),
+    trackMapLegend: document.getElementById("track-map-legend"),
+    onionSkinFramesInput: document.getElementById("onion-skin-frames"),
+    timeZoneSelect: document.getElementById("timezone"),
+    interpolationStepsInput: document.getElementById("interpolation-steps"),
     thresholdRadios: document.getElementsByName("thresholdFilter"),
+    statusSymbologyCheckbox: document.getElementById("status-symbology"),
+    choroplethVariableSelect: document.getElementById("choropleth-variable"),
+    choroplethRampSelect: document.getElementById("choropleth-ramp"),
+    choroplethScaleSelect: document.getElementById("choropleth-scale"),
+    thresholdOptions: document.getElementById("threshold-options"),
+    thresholdNote: document.getElementById("threshold-note"),
+    nestedCheckbox: document.getElementById("nested-thresholds"),
+    nestedLegend: document.getElementById("nested-legend"),
     helpButton: document.getElementById('help-button'),
     helpModal: document.getElementById('help-modal'),
     closeModal: document.querySelector('.close'),
@@ -854,6 +1350,11 @@ document.addEventListener("DOMContentLoaded", () => {
     infoPanel: document.getElementById('info-panel'),
     layerControls: document.getElementById('layer-controls'),
     currentTime: document.getElementById('current-time'),
+    frameStatus: document.getElementById('frame-status'),
+    cacheUsage: document.getElementById('cache-usage'),
+    clearCacheBtn: document.getElementById('clear-cache'),
+    memoryBudgetInput: document.getElementById('memory-budget'),
+    memoryUsage: document.getElementById('memory-usage'),
     infoContent: document.getElementById('info-content')
   };
 
@@ -986,6 +1487,17 @@ document.addEventListener("DOMContentLoaded", () => {
 
   const markerGroup = L.layerGroup().addTo(elements.map);
 
+  // Painel abaixo das fronteiras para as fronteiras dos frames anteriores (onion-skin)
+  elements.map.createPane('onionSkinPane');
+  elements.map.getPane('onionSkinPane').style.zIndex = 350;
+  const onionSkinGroup = L.layerGroup().addTo(elements.map);
+  // Painel entre o onion-skin e as fronteiras para os contornos dos demais thresholds
+  elements.map.createPane('nestedPane');
+  elements.map.getPane('nestedPane').style.zIndex = 390;
+  const nestedGroup = L.layerGroup().addTo(elements.map);
+  const trackMapGroup = L.layerGroup().addTo(elements.map);
+  const nowcastGroup = L.layerGroup().addTo(elements.map);
+
   // Melhor controle de event listeners no mapa
   // Criar uma função para o evento de clique no mapa e usar apenas uma vez na inicialização
   const onMapClick = () => {
@@ -998,11 +1510,16 @@ document.addEventListener("DOMContentLoaded", () => {
       }
       
       state.selection.uid = null;
+      state.selection.uids = [];
       state.selection.feature = null;
       state.selection.layer = null;
       // Esconder o gráfico
       document.getElementById('polygon-chart-container').style.display = "none";
       updateMarkers(); // Atualiza marcadores para mostrar todos conforme config global
+      updateOnionSkin();
+      updateNestedThresholds();
+      updateNowcast();
+      updateGenealogy();
     }
   };
 
@@ -1028,6 +1545,23 @@ document.addEventListener("DOMContentLoaded", () => {
     feature.properties && feature.properties.threshold !== undefined ?
       parseFloat(feature.properties.threshold) === parseFloat(state.currentThresholdFilter) : false;
 
+  /**
+   * Verifica se a feature atende à consulta de atributos ativa (sem consulta, todas atendem)
+   */
+  const passesQuery = feature =>
+    !state.query.compiled || !!(feature.properties && state.query.compiled.test(feature.properties));
+
+  /**
+   * Verifica se o status da feature não foi ocultado na legenda de status
+   */
+  const passesStatus = feature => !state.statusSymbology.enabled ||
+    !state.statusSymbology.hidden.includes(feature.properties && feature.properties.status);
+
+  /**
+   * Filtros de exibição: threshold atual, consulta de atributos e status visíveis
+   */
+  const passesFilters = feature => passesThreshold(feature) && passesQuery(feature) && passesStatus(feature);
+
   /**
    * Cria uma layer de trajetória a partir de um GeoJSON
    */
@@ -1043,15 +1577,17 @@ document.addEventListener("DOMContentLoaded", () => {
       
       // Se há um polígono específico selecionado, mostra apenas sua trajetória
       if (state.selection.uid) {
-        return feature.properties.uid === state.selection.uid;
+        return isSelectedUid(feature.properties.uid);
       }
       
       // Caso contrário, mostra trajetórias dos polígonos visíveis na camada atual
-      const currentBoundaryFeatures = state.geojsonLayers[state.currentIndex].geojson.features;
+      const currentFrame = state.geojsonLayers[state.currentIndex];
+      if (!currentFrame || !currentFrame.geojson) return false;
+      const currentBoundaryFeatures = currentFrame.geojson.features;
       return currentBoundaryFeatures.some(boundaryFeature => 
         boundaryFeature.properties && 
         boundaryFeature.properties.uid === feature.properties.uid &&
-        passesThreshold(boundaryFeature)
+        passesFilters(boundaryFeature)
       );
     },
     style: CONFIG.STYLES.TRAJECTORY
@@ -1082,49 +1618,21 @@ document.addEventListener("DOMContentLoaded", () => {
    * Atualiza a informação de timestamp exibida
    */
   const updateTimestampInfo = obj => {
-    let ts = "";
+    // Instante do frame (manifest/tabela ou nome do arquivo no formato YYYYMMDD_HHMM)
+    let time = getFrameTime(obj);
     
-    // Extrair timestamp do nome do arquivo (formato: YYYYMMDD_HHMM)
-    const fileNameMatch = obj.fileName.match(/(\d{4})(\d{2})(\d{2})_(\d{2})(\d{2})/);
-    
-    if (fileNameMatch) {
-      const [_, year, month, day, hour, minute] = fileNameMatch;
-      
-      // Criar data em UTC
-      const utcDate = new Date(Date.UTC(
-        parseInt(year),
-        parseInt(month) - 1, // Mês em JavaScript é 0-11
-        parseInt(day),
-        parseInt(hour),
-        parseInt(minute)
-      ));
-      
-      // Ajustar para UTC-3 e adicionar o incremento de 10 minutos
-      const offsetMilliseconds = CONFIG.TIME_OFFSET * 60 * 60 * 1000; // -3 horas em milissegundos
-      const incrementMilliseconds = CONFIG.TIME_INCREMENT * 60 * 1000; // +10 minutos em milissegundos
-      const localDate = new Date(utcDate.getTime() + offsetMilliseconds + incrementMilliseconds);
-      
-      // Formatar a data
-      ts = localDate.toISOString().replace('T', ' ').substring(0, 16);
-    } else {
-      // Fallback: tentar obter do GeoJSON se a extração do nome do arquivo falhar
-      if (obj.geojson && obj.geojson.features && obj.geojson.features.length > 0) {
-        ts = obj.geojson.features[0].timestamp ||
-             (obj.geojson.features[0].properties && obj.geojson.features[0].properties.timestamp) || "";
-        
-        // Aplicar offset e incremento se timestamp estiver presente
-        if (ts) {
-          const date = new Date(ts);
-          // Aplicar ajuste de fuso horário e incremento de minutos
-          date.setTime(date.getTime());
-          ts = date.toISOString().replace('T', ' ').substring(0, 16);
-        }
-      }
+    // Fallback: tentar obter do GeoJSON se a extração do nome do arquivo falhar
+    if (time === null && obj.geojson && obj.geojson.features && obj.geojson.features.length > 0) {
+      time = timeService.parse(obj.geojson.features[0].timestamp ||
+        (obj.geojson.features[0].properties && obj.geojson.features[0].properties.timestamp));
     }
     
     if (elements.trackInfo) {
-      if (ts) {
-        elements.trackInfo.textContent = `Track: ${ts} (UTC${CONFIG.TIME_OFFSET})`;
+      if (time !== null) {
+        // Informar quando o frame anterior está a mais de um passo de tempo
+        const gap = getGapBefore(state.geojsonLayers.indexOf(obj));
+        const gapText = gap ? ` · gap: ${utils.formatDuration(gap.duration)} since previous frame` : "";
+        elements.trackInfo.textContent = `Track: ${timeService.format(time)} (${timeService.zoneLabel(time)})${gapText}`;
       } else {
         elements.trackInfo.textContent = "Track: Sem dados de timestamp";
       }
@@ -1156,81 +1664,198 @@ document.addEventListener("DOMContentLoaded", () => {
   };
 
   /**
-   * Atualiza a layer de fronteira exibida
+   * Verifica se um UID faz parte da seleção (única ou múltipla)
    */
-  const updateBoundaryLayer = () => {
-    if (state.currentBoundaryLayer) elements.map.removeLayer(state.currentBoundaryLayer);
+  const isSelectedUid = uid => state.selection.uids.includes(uid);
+
+  /**
+   * Cor de um UID selecionado; com vários sistemas, a mesma da série no gráfico
+   */
+  const getSelectionColor = uid => {
+    const colors = CONFIG.CHART.SERIES_COLORS;
+    if (state.selection.uids.length < 2) return colors[0];
+    return colors[Math.max(0, state.selection.uids.indexOf(uid)) % colors.length];
+  };
+
+  /**
+   * Cor, traço do contorno e ícone de um status
+   */
+  const getStatusSymbol = status => (CONFIG.STATUS_SYMBOLS[status]
+    ? { color: CONFIG.STATUS_COLORS[status], ...CONFIG.STATUS_SYMBOLS[status] }
+    : CONFIG.UNKNOWN_STATUS);
+
+  /**
+   * Cor da rampa ativa para um valor da propriedade escolhida
+   */
+  const choroplethColor = value => {
+    const { min, max } = state.choropleth.range;
+    const stops = CONFIG.COLOR_RAMPS[state.choropleth.ramp === 'diverging' ? 'DIVERGING' : 'SEQUENTIAL'];
+    return utils.colorRamp(stops, max > min ? (value - min) / (max - min) : 0.5);
+  };
+
+  /**
+   * Estilo de uma fronteira não selecionada: azul padrão ou cor da propriedade escolhida
+   */
+  const getBoundaryStyle = feature => {
+    const { variable, range } = state.choropleth;
+    let style = { ...CONFIG.STYLES.BOUNDARY, fillColor: null, dashArray: null };
     
-    // Resetar apenas as referências à layer e feature, mantendo o UID
+    if (variable && range) {
+      const value = parseFloat(feature.properties[variable]);
+      const color = isNaN(value) ? CONFIG.CHOROPLETH.MISSING_COLOR : choroplethColor(value);
+      style = { ...style, color, fillColor: color, fillOpacity: CONFIG.CHOROPLETH.FILL_OPACITY };
+    }
+    
+    // Na simbologia por status o contorno indica o status e o preenchimento segue a coloração
+    if (state.statusSymbology.enabled) {
+      const symbol = getStatusSymbol(feature.properties.status);
+      style = { ...style, color: symbol.color, dashArray: symbol.dashArray, weight: 2, fillColor: style.fillColor || symbol.color };
+    }
+    return style;
+  };
+
+  /**
+   * Estilo de uma fronteira conforme a seleção
+   */
+  const getSelectionStyle = feature => {
+    if (!isSelectedUid(feature.properties.uid)) return getBoundaryStyle(feature);
+    // fillColor nulo: o preenchimento volta a seguir a cor do contorno
+    return state.selection.uids.length > 1
+      ? { ...CONFIG.STYLES.SELECTED, fillColor: null, dashArray: null, color: getSelectionColor(feature.properties.uid) }
+      : { ...CONFIG.STYLES.SELECTED, fillColor: null, dashArray: null };
+  };
+
+  /**
+   * Adiciona ou remove um sistema da seleção múltipla (shift-clique)
+   *
+   * O último UID adicionado passa a ser o principal (state.selection.uid), usado
+   * pelos painéis que mostram um único sistema.
+   */
+  const toggleMultiSelection = feature => {
+    const uid = feature.properties.uid;
+    state.selection.uids = isSelectedUid(uid)
+      ? state.selection.uids.filter(selected => selected !== uid)
+      : [...state.selection.uids, uid];
+    
+    state.selection.uid = state.selection.uids.length ? state.selection.uids[state.selection.uids.length - 1] : null;
     state.selection.feature = null;
     state.selection.layer = null;
     
-    const obj = state.geojsonLayers[state.currentIndex];
-    if (!obj || !obj.geojson) return; // Proteção contra dados ausentes
+    state.currentBoundaryLayer.eachLayer(layer => {
+      layer.setStyle(getSelectionStyle(layer.feature));
+      if (layer.feature.properties.uid === state.selection.uid) {
+        state.selection.feature = layer.feature;
+        state.selection.layer = layer;
+      }
+    });
     
-    // Cria um estilo como função para evitar cálculos repetidos
-    const getFeatureStyle = feature => {
-      return state.selection.uid && feature.properties.uid === state.selection.uid 
-        ? CONFIG.STYLES.SELECTED 
-        : CONFIG.STYLES.BOUNDARY;
-    };
+    if (state.selection.feature) {
+      updatePolygonChart(state.selection.feature);
+    } else {
+      document.getElementById(CONFIG.DOM_IDS.POLYGON_CHART_CONTAINER).style.display = "none";
+    }
+    
+    updateMarkers();
+    updateOnionSkin();
+    updateNestedThresholds();
+    updateNowcast();
+    updateGenealogy();
+  };
 
-    state.currentBoundaryLayer = L.geoJSON(obj.geojson, {
-      filter: passesThreshold,
-      style: getFeatureStyle,
-      onEachFeature: (feature, layer) => {
-        // Adiciona evento de clique para mostrar informações do polígono
-        layer.on('click', (e) => {
-          L.DomEvent.stopPropagation(e); // Evita a propagação do evento para o mapa
-          
-          // Se estamos clicando no mesmo polígono, desseleciona
-          if (state.selection.uid === feature.properties.uid) {
-            // Desselecionar completamente
-            state.selection.uid = null;
-            state.selection.feature = null;
-            state.selection.layer = null;
-            
-            // Restaurar o estilo padrão
-            layer.setStyle(CONFIG.STYLES.BOUNDARY);
+  /**
+   * Seleciona um único sistema (clique no polígono ou busca por UID)
+   */
+  const selectFeature = (feature, layer) => {
+    // Primeiro, limpar a seleção anterior - este é o ponto chave da correção
+    if (state.selection.uid) {
+      // Resetar o estilo de todos os polígonos para garantir que nenhum fique rosa
+      state.currentBoundaryLayer.eachLayer(l => {
+        l.setStyle(getBoundaryStyle(l.feature));
+      });
+    }
+    
+    // Define este como o novo polígono selecionado
+    state.selection.uid = feature.properties.uid;
+    state.selection.uids = [feature.properties.uid];
+    state.selection.feature = feature;
+    state.selection.layer = layer;
+    
+    // Aplica estilo de destaque ao polígono selecionado
+    layer.setStyle(getSelectionStyle(feature));
+    
+    // Atualizar o gráfico com os dados do polígono selecionado
+    updatePolygonChart(feature);
+    indexSystemLifecycle(feature);
+    
+    // Verifica se há opções de exibição ativas
+    const hasActiveOptions = Object.values(state.displayOptions).some(val => val);
+    
+    // Se não houver opções ativas, ativa automaticamente a exibição do UID
+    if (!hasActiveOptions && CONFIG.DISPLAY_KEYS.includes('uid')) {
+      state.displayOptions.uid = true;
+      const uidCheckbox = document.querySelector(`input[name="uid"]`);
+      if (uidCheckbox) uidCheckbox.checked = true;
+    }
+    
+    // Atualiza os marcadores para mostrar apenas este polígono
+    updateMarkers();
+    updateOnionSkin();
+    updateNestedThresholds();
+    updateNowcast();
+    updateGenealogy();
+  };
+
+  /**
+   * Atualiza a layer de fronteira exibida
+   */
+  const updateBoundaryLayer = () => {
+    if (state.currentBoundaryLayer) elements.map.removeLayer(state.currentBoundaryLayer);
+    
+    // Resetar apenas as referências à layer e feature, mantendo o UID
+    state.selection.feature = null;
+    state.selection.layer = null;
+    
+    const obj = state.geojsonLayers[state.currentIndex];
+    if (!obj || !obj.geojson) return; // Proteção contra dados ausentes
+    
+    updateChoroplethRange();
+    state.currentBoundaryLayer = L.geoJSON(obj.geojson, {
+      filter: passesFilters,
+      style: getSelectionStyle,
+      onEachFeature: (feature, layer) => {
+        // Adiciona evento de clique para mostrar informações do polígono
+        layer.on('click', (e) => {
+          L.DomEvent.stopPropagation(e); // Evita a propagação do evento para o mapa
+          
+          // Shift-clique adiciona ou remove o sistema de uma seleção múltipla
+          if (e.originalEvent && e.originalEvent.shiftKey && state.selection.uid !== null) {
+            toggleMultiSelection(feature);
+            return;
+          }
+          
+          // Se estamos clicando no mesmo polígono, desseleciona
+          if (state.selection.uid === feature.properties.uid) {
+            // Desselecionar completamente
+            state.selection.uid = null;
+            state.selection.uids = [];
+            state.selection.feature = null;
+            state.selection.layer = null;
+            
+            // Restaurar o estilo padrão
+            layer.setStyle(getBoundaryStyle(feature));
             
             // Esconder o gráfico
             document.getElementById(CONFIG.DOM_IDS.POLYGON_CHART_CONTAINER).style.display = "none";
             
             updateMarkers(); // Atualiza os marcadores para mostrar todos
+            updateOnionSkin();
+            updateNestedThresholds();
+            updateNowcast();
+            updateGenealogy();
             return;
           }
           
-          // Primeiro, limpar a seleção anterior - este é o ponto chave da correção
-          if (state.selection.uid) {
-            // Resetar o estilo de todos os polígonos para garantir que nenhum fique rosa
-            state.currentBoundaryLayer.eachLayer(l => {
-              l.setStyle(CONFIG.STYLES.BOUNDARY);
-            });
-          }
-          
-          // Define este como o novo polígono selecionado
-          state.selection.uid = feature.properties.uid;
-          state.selection.feature = feature;
-          state.selection.layer = layer;
-          
-          // Aplica estilo de destaque ao polígono selecionado
-          layer.setStyle(CONFIG.STYLES.SELECTED);
-          
-          // Atualizar o gráfico com os dados do polígono selecionado
-          updatePolygonChart(feature);
-          
-          // Verifica se há opções de exibição ativas
-          const hasActiveOptions = Object.values(state.displayOptions).some(val => val);
-          
-          // Se não houver opções ativas, ativa automaticamente a exibição do UID
-          if (!hasActiveOptions && CONFIG.DISPLAY_KEYS.includes('uid')) {
-            state.displayOptions.uid = true;
-            const uidCheckbox = document.querySelector(`input[name="uid"]`);
-            if (uidCheckbox) uidCheckbox.checked = true;
-          }
-          
-          // Atualiza os marcadores para mostrar apenas este polígono
-          updateMarkers();
+          selectFeature(feature, layer);
         });
 
         // Adicionar popups e tooltips aos features
@@ -1248,35 +1873,78 @@ document.addEventListener("DOMContentLoaded", () => {
     removeTrajectoryLayer();
   };
 
+  /**
+   * Seleciona novamente, na camada recém-criada, o polígono do UID selecionado
+   *
+   * Se o sistema não estiver na camada (ausente no frame ou filtrado), o gráfico é ocultado.
+   */
+  const restoreSelectedLayer = uid => {
+    if (!uid || !state.currentBoundaryLayer) return;
+    
+    // Restaurar a seleção do UID na nova camada
+    state.selection.uid = uid;
+    
+    // Tentar encontrar o polígono na nova camada e aplicar estilo
+    let found = false;
+    state.currentBoundaryLayer.eachLayer(layer => {
+      if (layer.feature && 
+          layer.feature.properties && 
+          layer.feature.properties.uid === uid &&
+          passesThreshold(layer.feature)) {
+        
+        state.selection.feature = layer.feature;
+        state.selection.layer = layer;
+        layer.setStyle(getSelectionStyle(layer.feature));
+        
+        updatePolygonChart(layer.feature);
+        found = true;
+      }
+    });
+    
+    if (!found) {
+      state.selection.feature = null;
+      state.selection.layer = null;
+      document.getElementById(CONFIG.DOM_IDS.POLYGON_CHART_CONTAINER).style.display = "none";
+    }
+  };
+
+  /**
+   * Texto do marker de uma feature com as propriedades selecionadas para exibição
+   */
+  const buildMarkerText = feature => {
+    let infoText = "";
+    CONFIG.DISPLAY_KEYS.forEach(field => {
+      if (state.displayOptions[field] && feature.properties && feature.properties[field] !== undefined) {
+        infoText += `${field}: ${feature.properties[field]}<br>`;
+      }
+    });
+    return infoText;
+  };
+
   /**
    * Atualiza os markers com informações exibidas no mapa
    */
   const updateMarkers = () => {
     markerGroup.clearLayers();
-    if (!state.geojsonLayers[state.currentIndex]) return;
+    const currentFrame = state.geojsonLayers[state.currentIndex];
+    if (!currentFrame || !currentFrame.geojson) return;
     
-    // Filtra features pela threshold e pela seleção
+    // Filtra features pela threshold, pela consulta de atributos e pela seleção
     const filteredFeatures = state.geojsonLayers[state.currentIndex].geojson.features
       .filter(feature => {
         // Se tiver uma feature selecionada, mostra apenas ela
         if (state.selection.feature) {
-          return feature.properties.uid === state.selection.feature.properties.uid && passesThreshold(feature);
+          return isSelectedUid(feature.properties.uid) && passesFilters(feature);
         }
-        // Caso contrário, mostra todas que passam pelo threshold
-        return passesThreshold(feature);
+        // Caso contrário, mostra todas que passam pelos filtros
+        return passesFilters(feature);
       });
     
     filteredFeatures.forEach(feature => {
       const centroid = computeCentroid(feature);
       if (!centroid) return;
       
-      let infoText = "";
-      CONFIG.DISPLAY_KEYS.forEach(field => {
-        if (state.displayOptions[field] && feature.properties && feature.properties[field] !== undefined) {
-          infoText += `${field}: ${feature.properties[field]}<br>`;
-        }
-      });
-      
+      const infoText = buildMarkerText(feature);
       if (infoText) {
         const marker = L.marker(centroid, { opacity: 0 });
         marker.bindTooltip(infoText, { 
@@ -1287,194 +1955,2475 @@ document.addEventListener("DOMContentLoaded", () => {
         });
         markerGroup.addLayer(marker);
       }
+      
+      // Ícone do status no centroide
+      if (state.statusSymbology.enabled) {
+        const symbol = getStatusSymbol(feature.properties.status);
+        markerGroup.addLayer(L.marker(centroid, {
+          interactive: false,
+          keyboard: false,
+          icon: L.divIcon({
+            className: "status-icon",
+            html: `<i class="fas ${symbol.icon}" style="color: ${symbol.color}"></i>`,
+            iconSize: [14, 14]
+          })
+        }));
+      }
     });
+    
+    renderStatusLegend();
   };
 
-  // ============ CARREGAMENTO DE DADOS ============
+  // ============ ONION-SKIN ============
+  // Camada desenhada de cada frame anterior e frames aguardados para o índice atual
+  const onionSkinLayers = new Map();
+  const onionSkinRequests = { center: null, indexes: new Set() };
+
   /**
-   * Busca lista de arquivos de fronteira
+   * Desenha a fronteira de um frame anterior, se ele estiver carregado e na janela
    */
-  const fetchBoundaryFileList = () => 
-    utils.scanLocalDirectory(CONFIG.DIRECTORIES.BOUNDARY).then(files => {
-      if (files.length > 0) {
-        return utils.sortFiles(files.map(f => ({ 
-          name: f, 
-          download_url: utils.getLocalUrl(f, CONFIG.DIRECTORIES.BOUNDARY) 
-        })), "name");
+  const addOnionSkinLayer = index => {
+    const count = state.onionSkin.frames;
+    const age = state.currentIndex - index;
+    const frame = state.geojsonLayers[index];
+    if (!state.onionSkin.enabled || age < 1 || age > count || !frame || !frame.geojson || onionSkinLayers.has(index)) return;
+    
+    const filter = feature => passesFilters(feature) &&
+      (!state.selection.uid || isSelectedUid(feature.properties.uid));
+    // Esmaecer linearmente com a idade do frame
+    const fade = CONFIG.ONION_SKIN.MAX_OPACITY * (1 - (age - 1) / count);
+    const layer = L.geoJSON(frame.geojson, {
+      pane: 'onionSkinPane',
+      interactive: false,
+      filter,
+      style: { ...CONFIG.STYLES.ONION_SKIN, opacity: fade, fillOpacity: CONFIG.STYLES.ONION_SKIN.fillOpacity * fade }
+    });
+    onionSkinLayers.set(index, layer);
+    onionSkinGroup.addLayer(layer);
+  };
+
+  /**
+   * Desenha, sob o frame atual, as fronteiras dos N frames anteriores
+   *
+   * As fronteiras respeitam o filtro de threshold e, havendo um sistema
+   * selecionado, apenas o histórico do UID selecionado é exibido.
+   */
+  const updateOnionSkin = () => {
+    onionSkinGroup.clearLayers();
+    onionSkinLayers.clear();
+    if (!state.onionSkin.enabled) return;
+    
+    if (onionSkinRequests.center !== state.currentIndex) {
+      onionSkinRequests.center = state.currentIndex;
+      onionSkinRequests.indexes.clear();
+    }
+    
+    for (let age = 1; age <= state.onionSkin.frames; age++) {
+      const index = state.currentIndex - age;
+      const frame = state.geojsonLayers[index];
+      if (!frame) break;
+      
+      if (frame.geojson) {
+        addOnionSkinLayer(index);
+        continue;
       }
       
-      return fetch(CONFIG.GITHUB.BOUNDARY_API)
-        .then(r => { 
-          if (!r.ok) throw new Error(r.status); 
-          return r.json(); 
-        })
-        .then(files => utils.sortFiles(files.filter(file => /\.geojson$/i.test(file.name)), "name"));
+      // Frames ainda não carregados: uma espera por frame, que desenha só a camada dele
+      if (onionSkinRequests.indexes.has(index)) continue;
+      onionSkinRequests.indexes.add(index);
+      const current = state.currentIndex;
+      frameStore.request(index)
+        .then(() => { if (state.currentIndex === current) addOnionSkinLayer(index); })
+        .catch(() => {
+          if (onionSkinRequests.center === current) onionSkinRequests.indexes.delete(index);
+        });
+    }
+  };
+
+  // ============ NOWCAST ============
+  /**
+   * Distância em km entre dois pontos [lon, lat]
+   */
+  const distanceKm = (a, b) => L.latLng(a[1], a[0]).distanceTo(L.latLng(b[1], b[0])) / 1000;
+
+  /**
+   * Aplica uma transformação a todas as coordenadas [lon, lat] de uma geometria poligonal
+   */
+  const mapGeometryCoordinates = (geometry, transform) => {
+    const mapRing = ring => ring.map(transform);
+    if (geometry.type === "Polygon") return { type: "Polygon", coordinates: geometry.coordinates.map(mapRing) };
+    if (geometry.type === "MultiPolygon") {
+      return { type: "MultiPolygon", coordinates: geometry.coordinates.map(polygon => polygon.map(mapRing)) };
+    }
+    return null;
+  };
+
+  /**
+   * Extrapola a posição e a forma de um sistema 1 a N passos de tempo à frente
+   *
+   * A direção vem de `ang_` (graus, anti-horário a partir do leste) e a taxa de
+   * expansão de `expansion`; sem essas propriedades, usam-se os deslocamentos
+   * recentes do centroide e a variação relativa da área (`size`). A rapidez é a
+   * média dos deslocamentos recentes por unidade de tempo, o que mantém a
+   * previsão correta quando há lacunas entre frames. Retorna null quando o
+   * sistema ainda não tem histórico (ex.: NEW).
+   */
+  const computeNowcast = (feature, entries) => {
+    const currentTime = getFrameTime(state.geojsonLayers[state.currentIndex]);
+    const timeByFile = new Map(state.geojsonLayers.map(frame => [frame.fileName, getFrameTime(frame)]));
+    
+    // Histórico até o frame atual (uma ocorrência por frame, com centroide)
+    const history = [];
+    entries.forEach(entry => {
+      const time = timeByFile.get(entry.fileName);
+      if (!entry.centroid || time === undefined || time === null || time > currentTime) return;
+      if (history.length && history[history.length - 1].time === time) return;
+      history.push({ time, centroid: entry.centroid, size: parseFloat(entry.properties.size) });
+    });
+    const recent = history.slice(-(CONFIG.NOWCAST.HISTORY + 1));
+    if (recent.length < 2 || recent[recent.length - 1].time !== currentTime) return null;
+    
+    const velocities = [];
+    const growthRates = [];
+    for (let i = 1; i < recent.length; i++) {
+      const dt = recent[i].time - recent[i - 1].time;
+      if (dt <= 0) continue;
+      velocities.push([
+        (recent[i].centroid[0] - recent[i - 1].centroid[0]) / dt,
+        (recent[i].centroid[1] - recent[i - 1].centroid[1]) / dt
+      ]);
+      if (recent[i].size > 0 && recent[i - 1].size > 0) growthRates.push(Math.log(recent[i].size / recent[i - 1].size) / dt);
+    }
+    if (!velocities.length) return null;
+    
+    const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+    const observed = [mean(velocities.map(v => v[0])), mean(velocities.map(v => v[1]))];
+    const speed = Math.hypot(observed[0], observed[1]);
+    const angle = parseFloat(feature.properties.ang_) * Math.PI / 180;
+    const velocity = isNaN(angle) || speed === 0 ? observed : [speed * Math.cos(angle), speed * Math.sin(angle)];
+    
+    // expansion está em 10⁻⁶ s⁻¹ e os instantes em ms
+    const expansion = parseFloat(feature.properties.expansion);
+    const growthRate = !isNaN(expansion) ? expansion * CONFIG.NOWCAST.EXPANSION_UNIT / 1000
+      : growthRates.length ? mean(growthRates) : 0;
+    // Dispersão das velocidades recentes, usada no cone de incerteza
+    const spread = mean(velocities.map(v => Math.hypot(v[0] - observed[0], v[1] - observed[1])));
+    
+    const origin = recent[recent.length - 1].centroid;
+    // Raio médio do contorno atual: mantém uma área de incerteza mesmo sem deslocamento
+    const ring = feature.geometry.type === "MultiPolygon" ? feature.geometry.coordinates[0][0] : feature.geometry.coordinates[0];
+    const extent = ring && ring.length ? mean(ring.map(([x, y]) => Math.hypot(x - origin[0], y - origin[1]))) : 0;
+    const step = state.timeAxis.step || (recent[recent.length - 1].time - recent[recent.length - 2].time);
+    const maxFactor = CONFIG.NOWCAST.MAX_AREA_FACTOR;
+    
+    const forecasts = [];
+    for (let k = 1; k <= state.nowcast.steps; k++) {
+      const dt = k * step;
+      const centroid = [origin[0] + velocity[0] * dt, origin[1] + velocity[1] * dt];
+      const areaFactor = Math.max(1 / maxFactor, Math.min(maxFactor, Math.exp(growthRate * dt)));
+      const scale = Math.sqrt(areaFactor);
+      const geometry = mapGeometryCoordinates(feature.geometry, ([x, y]) => [
+        centroid[0] + (x - origin[0]) * scale,
+        centroid[1] + (y - origin[1]) * scale
+      ]);
+      const radius = Math.max(spread * dt + speed * dt * CONFIG.NOWCAST.SPEED_UNCERTAINTY,
+        extent * CONFIG.NOWCAST.MIN_RADIUS_FRACTION * k);
+      forecasts.push({ step: k, lead: dt, time: currentTime + dt, centroid, geometry, radius });
+    }
+    
+    return { uid: feature.properties.uid, origin, velocity, forecasts };
+  };
+
+  /**
+   * Polígono do cone de incerteza: do centroide atual até o círculo do último passo
+   *
+   * Sistemas parados não têm direção: a incerteza é um círculo em torno da posição.
+   */
+  const buildUncertaintyCone = nowcast => {
+    const { origin, velocity, forecasts } = nowcast;
+    const speed = Math.hypot(velocity[0], velocity[1]);
+    const last = forecasts[forecasts.length - 1];
+    
+    if (speed === 0) {
+      return Array.from({ length: 25 }, (_, i) => {
+        const angle = (i / 24) * 2 * Math.PI;
+        return [last.centroid[1] + Math.sin(angle) * last.radius, last.centroid[0] + Math.cos(angle) * last.radius];
+      });
+    }
+    
+    const normal = [-velocity[1] / speed, velocity[0] / speed];
+    const heading = Math.atan2(velocity[1], velocity[0]);
+    
+    const left = forecasts.map(f => [f.centroid[0] + normal[0] * f.radius, f.centroid[1] + normal[1] * f.radius]);
+    const right = forecasts.map(f => [f.centroid[0] - normal[0] * f.radius, f.centroid[1] - normal[1] * f.radius]);
+    
+    // Semicírculo à frente do último passo
+    const cap = [];
+    for (let i = 0; i <= 12; i++) {
+      const angle = heading + Math.PI / 2 - (i / 12) * Math.PI;
+      cap.push([last.centroid[0] + Math.cos(angle) * last.radius, last.centroid[1] + Math.sin(angle) * last.radius]);
+    }
+    
+    return [origin, ...left, ...cap, ...right.reverse()].map(([x, y]) => [y, x]);
+  };
+
+  /**
+   * Desenha a previsão, o cone de incerteza e, se houver, a posição observada
+   */
+  const drawNowcast = (nowcast, entries) => {
+    nowcastGroup.addLayer(L.polygon(buildUncertaintyCone(nowcast), { ...CONFIG.STYLES.NOWCAST_CONE, interactive: false }));
+    
+    const fileByTime = new Map(state.geojsonLayers.map(frame => [getFrameTime(frame), frame.fileName]));
+    
+    nowcast.forecasts.forEach(forecast => {
+      const label = `UID ${nowcast.uid} · forecast +${utils.formatDuration(forecast.lead)}`;
+      const fade = 1 - (forecast.step - 1) / (CONFIG.NOWCAST.MAX_STEPS + 1);
+      
+      nowcastGroup.addLayer(L.geoJSON({ type: "Feature", geometry: forecast.geometry }, {
+        interactive: false,
+        style: { ...CONFIG.STYLES.NOWCAST, opacity: CONFIG.STYLES.NOWCAST.opacity * fade }
+      }));
+      nowcastGroup.addLayer(L.circleMarker([forecast.centroid[1], forecast.centroid[0]], {
+        ...CONFIG.STYLES.NOWCAST, dashArray: null, radius: 4, fillOpacity: 0.8
+      }).bindTooltip(label));
+      
+      // Comparar com a posição observada quando o frame futuro existe
+      const fileName = fileByTime.get(forecast.time);
+      const observed = fileName && entries.find(entry => entry.fileName === fileName && entry.centroid);
+      if (!observed) return;
+      
+      const error = distanceKm(forecast.centroid, observed.centroid);
+      nowcastGroup.addLayer(L.polyline([
+        [forecast.centroid[1], forecast.centroid[0]],
+        [observed.centroid[1], observed.centroid[0]]
+      ], { ...CONFIG.STYLES.NOWCAST_OBSERVED, weight: 1, dashArray: "2 4", interactive: false }));
+      nowcastGroup.addLayer(L.circleMarker([observed.centroid[1], observed.centroid[0]], {
+        ...CONFIG.STYLES.NOWCAST_OBSERVED, radius: 4
+      }).bindTooltip(`${label}<br>Observed position · error ${error.toFixed(1)} km`));
     });
+  };
 
   /**
-   * Busca lista de arquivos de trajetória
+   * Atualiza a previsão do sistema selecionado (ou de todos os visíveis)
    */
-  const fetchTrajectoryFileList = () =>
-    utils.scanLocalDirectory(CONFIG.DIRECTORIES.TRAJECTORY).then(files => {
-      if (files.length > 0) {
-        let fileMap = {};
-        files.forEach(f => fileMap[utils.getBaseName(f)] = utils.getLocalUrl(f, CONFIG.DIRECTORIES.TRAJECTORY));
-        return fileMap;
-      }
+  const updateNowcast = () => {
+    const requestId = ++state.nowcast.requestId;
+    nowcastGroup.clearLayers();
+    
+    const frame = state.geojsonLayers[state.currentIndex];
+    if (!state.nowcast.enabled || !frame || !frame.geojson) return;
+    
+    const features = frame.geojson.features.filter(feature => passesThreshold(feature) && feature.geometry &&
+      (state.nowcast.allVisible || isSelectedUid(feature.properties.uid)));
+    
+    Promise.all(features.map(feature => frameIndex.timeSeries(feature.properties.uid)
+      .then(entries => ({ feature, entries: entries.filter(entry => passesThreshold(entry)) }))))
+      .then(results => {
+        if (requestId !== state.nowcast.requestId) return;
+        results.forEach(({ feature, entries }) => {
+          const nowcast = computeNowcast(feature, entries);
+          if (nowcast) drawNowcast(nowcast, entries);
+        });
+      })
+      .catch(err => console.error("Erro ao calcular o nowcast:", err));
+  };
+
+  // ============ GENEALOGIA ============
+  const SVG_NS = "http://www.w3.org/2000/svg";
+
+  /**
+   * Cria um elemento SVG com os atributos informados
+   */
+  const createSvgElement = (tag, attributes = {}) => {
+    const element = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    return element;
+  };
+
+  /**
+   * Atualiza o painel de genealogia (fusões e divisões) do sistema selecionado
+   *
+   * A genealogia é consultada no índice apenas quando o UID ou o threshold
+   * mudam; nas trocas de frame só o cursor do frame atual é redesenhado.
+   */
+  const updateGenealogy = () => {
+    const uid = state.selection.uid;
+    if (!state.genealogy.enabled || uid === null || uid === undefined) {
+      state.genealogy.requestId++;
+      elements.genealogyPanel.style.display = "none";
+      return;
+    }
+    
+    elements.genealogyPanel.style.display = "block";
+    const key = `${uid}|${parseFloat(state.currentThresholdFilter)}`;
+    if (key === state.genealogy.key && state.genealogy.lineage) {
+      renderGenealogy(state.genealogy.lineage);
+      return;
+    }
+    
+    const requestId = ++state.genealogy.requestId;
+    frameIndex.lineage(uid, state.currentThresholdFilter, CONFIG.GENEALOGY.MAX_DEPTH)
+      .then(lineage => {
+        if (requestId !== state.genealogy.requestId) return;
+        state.genealogy.key = key;
+        state.genealogy.lineage = lineage;
+        renderGenealogy(lineage);
+      })
+      .catch(err => console.error("Erro ao consultar a genealogia:", err));
+  };
+
+  /**
+   * Seleciona o sistema de um nó da genealogia e salta para o frame do evento
+   */
+  const jumpToLineageNode = (node, e) => {
+    const index = state.geojsonLayers.findIndex(frame => frame.fileName === node.focus);
+    if (index === -1) return;
+    
+    markUserNavigation(e);
+    state.selection.uid = node.uid;
+    state.selection.uids = [node.uid];
+    window.player.seek(index);
+  };
+
+  /**
+   * Desenha a genealogia como um gráfico ordenado no tempo
+   *
+   * Cada sistema é uma barra do primeiro ao último frame em que aparece; as
+   * ligações mostram os ancestrais que se fundiram nele e os filhos que se
+   * separaram dele.
+   */
+  const renderGenealogy = lineage => {
+    const svg = elements.genealogyGraph;
+    svg.innerHTML = "";
+    
+    const timeByFile = new Map(state.geojsonLayers.map(frame => [frame.fileName, getFrameTime(frame)]));
+    const nodes = lineage.nodes
+      .map(node => ({ ...node, from: timeByFile.get(node.start), to: timeByFile.get(node.end) }))
+      .filter(node => node.from !== undefined && node.from !== null && node.to !== undefined && node.to !== null)
+      .sort((a, b) => a.from - b.from || a.depth - b.depth);
+    
+    elements.genealogyNote.innerHTML =
+      `<span style="color: ${CONFIG.GENEALOGY.COLORS.merge}">━ merge</span> · ` +
+      `<span style="color: ${CONFIG.GENEALOGY.COLORS.split}">━ split</span> · ` +
+      `${nodes.length} system(s), ${lineage.edges.length} link(s) · ${lineage.indexedFrames} of ${state.geojsonLayers.length} frame(s) indexed`;
+    if (!nodes.length) return;
+    
+    const currentTime = getFrameTime(state.geojsonLayers[state.currentIndex]);
+    const times = nodes.flatMap(node => [node.from, node.to]).concat(currentTime !== null ? [currentTime] : []);
+    const [minTime, maxTime] = [Math.min(...times), Math.max(...times)];
+    
+    const { ROW_HEIGHT, LABEL_WIDTH, COLORS } = CONFIG.GENEALOGY;
+    const top = 20;
+    const width = Math.max(svg.clientWidth || 0, 300);
+    const plotWidth = width - LABEL_WIDTH - 15;
+    const xOf = time => LABEL_WIDTH + (maxTime > minTime ? (time - minTime) / (maxTime - minTime) : 0.5) * plotWidth;
+    const yOf = row => top + row * ROW_HEIGHT + ROW_HEIGHT / 2;
+    
+    svg.setAttribute("width", width);
+    svg.setAttribute("height", top + nodes.length * ROW_HEIGHT + 5);
+    
+    // Instantes inicial e final do período exibido
+    [[minTime, "start"], [maxTime, "end"]].forEach(([time, anchor]) => {
+      const label = createSvgElement("text", { x: xOf(time), y: 12, "text-anchor": anchor, class: "genealogy-axis" });
+      label.textContent = timeService.format(time);
+      svg.appendChild(label);
+    });
+    
+    const rowOf = new Map(nodes.map((node, row) => [String(node.uid), row]));
+    
+    // Ligações entre os sistemas
+    lineage.edges.forEach(edge => {
+      const fromRow = rowOf.get(String(edge.from));
+      const toRow = rowOf.get(String(edge.to));
+      const eventTime = timeByFile.get(edge.fileName);
+      if (fromRow === undefined || toRow === undefined || eventTime === undefined) return;
       
-      return fetch(CONFIG.GITHUB.TRAJECTORY_API)
-        .then(r => { 
-          if (!r.ok) throw new Error(r.status); 
-          return r.json(); 
-        })
-        .then(files => {
-          let m = {};
-          files.forEach(f => { 
-            if (/\.geojson$/i.test(f.name)) m[f.name] = f.download_url; 
-          });
-          return m;
+      const x1 = xOf(Math.min(eventTime, nodes[fromRow].to));
+      const x2 = xOf(Math.max(eventTime, nodes[toRow].from));
+      const [y1, y2] = [yOf(fromRow), yOf(toRow)];
+      const middle = (x1 + x2) / 2;
+      const path = createSvgElement("path", {
+        d: `M ${x1} ${y1} C ${middle} ${y1}, ${middle} ${y2}, ${x2} ${y2}`,
+        fill: "none",
+        stroke: COLORS[edge.kind],
+        "stroke-width": 1.5
+      });
+      const title = createSvgElement("title");
+      title.textContent = `${edge.kind === 'merge' ? 'Merge' : 'Split'}: UID ${edge.from} → UID ${edge.to} at ${timeService.format(eventTime)}`;
+      path.appendChild(title);
+      svg.appendChild(path);
+    });
+    
+    // Sistemas (barras clicáveis)
+    nodes.forEach((node, row) => {
+      const isSelected = node.uid === state.selection.uid;
+      const group = createSvgElement("g", { class: "genealogy-node" });
+      const x = xOf(node.from);
+      
+      const label = createSvgElement("text", { x: LABEL_WIDTH - 6, y: yOf(row) + 4, "text-anchor": "end" });
+      label.textContent = `UID ${node.uid}`;
+      group.appendChild(label);
+      group.appendChild(createSvgElement("rect", {
+        x,
+        y: yOf(row) - 4,
+        width: Math.max(4, xOf(node.to) - x),
+        height: 8,
+        rx: 3,
+        fill: isSelected ? CONFIG.STYLES.SELECTED.color : CONFIG.STYLES.BOUNDARY.color
+      }));
+      
+      const title = createSvgElement("title");
+      title.textContent = `UID ${node.uid} (${node.status || 'N/A'})\n` +
+        `${timeService.format(node.from)} – ${timeService.format(node.to)}\nClick to select at ${timeService.format(timeByFile.get(node.focus))}`;
+      group.appendChild(title);
+      
+      if (isSelected) label.setAttribute("font-weight", "bold");
+      group.addEventListener("click", e => jumpToLineageNode(node, e));
+      svg.appendChild(group);
+    });
+    
+    // Cursor do frame atual
+    if (currentTime !== null) {
+      svg.appendChild(createSvgElement("line", {
+        x1: xOf(currentTime), x2: xOf(currentTime), y1: top - 4, y2: top + nodes.length * ROW_HEIGHT,
+        class: "genealogy-cursor"
+      }));
+    }
+  };
+
+  // ============ PAINEL DE ESTATÍSTICAS ============
+  const statisticsCharts = { histogram: null, boxPlot: null };
+
+  /**
+   * Plugin que completa as caixas (barras flutuantes q1–q3) com bigodes e mediana
+   */
+  const boxWhiskersPlugin = {
+    id: 'boxWhiskers',
+    afterDatasetsDraw: (chart, args, options) => {
+      const { ctx, scales } = chart;
+      const boxes = options.boxes || [];
+      chart.getDatasetMeta(0).data.forEach((bar, i) => {
+        const box = boxes[i];
+        if (!box) return;
+        
+        const [xMin, xMax, xMedian] = [box.min, box.max, box.median].map(value => scales.x.getPixelForValue(value));
+        const half = bar.height / 2;
+        ctx.save();
+        ctx.strokeStyle = '#f0f0f0';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        // Bigodes do mínimo ao q1 e do q3 ao máximo
+        ctx.moveTo(xMin, bar.y);
+        ctx.lineTo(scales.x.getPixelForValue(box.q1), bar.y);
+        ctx.moveTo(scales.x.getPixelForValue(box.q3), bar.y);
+        ctx.lineTo(xMax, bar.y);
+        [xMin, xMax].forEach(x => {
+          ctx.moveTo(x, bar.y - half / 2);
+          ctx.lineTo(x, bar.y + half / 2);
         });
+        ctx.stroke();
+        // Mediana
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(xMedian, bar.y - half);
+        ctx.lineTo(xMedian, bar.y + half);
+        ctx.stroke();
+        ctx.restore();
+      });
+    }
+  };
+
+  /**
+   * Consulta no índice a distribuição da variável escolhida e redesenha o painel
+   */
+  const updateStatistics = () => {
+    const requestId = ++state.statistics.requestId;
+    if (!state.statistics.enabled) {
+      elements.statsPanel.style.display = "none";
+      return;
+    }
+    elements.statsPanel.style.display = "block";
+    
+    const { variable, scope, groupBy } = state.statistics;
+    const frame = state.geojsonLayers[state.currentIndex];
+    
+    frameIndex.statistics({
+      variable,
+      groupBy,
+      threshold: state.currentThresholdFilter,
+      fileNames: scope === 'frame' ? (frame ? [frame.fileName] : []) : undefined,
+      bins: CONFIG.STATISTICS.BINS,
+      perSystem: scope === 'period' && CONFIG.STATISTICS.PER_SYSTEM.includes(variable)
+    })
+      .then(result => {
+        if (requestId !== state.statistics.requestId) return;
+        renderStatistics(result);
+      })
+      .catch(err => console.error("Erro ao calcular as estatísticas:", err));
+  };
+
+  /**
+   * Desenha o histograma empilhado e os box plots de cada grupo
+   */
+  const renderStatistics = ({ edges, groups }) => {
+    if (typeof Chart === "undefined") return;
+    
+    const { variable, scope, groupBy } = state.statistics;
+    const order = name => (groupBy === 'status'
+      ? (CONFIG.STATUSES.indexOf(name) === -1 ? CONFIG.STATUSES.length : CONFIG.STATUSES.indexOf(name))
+      : parseFloat(name));
+    const sorted = groups.slice().sort((a, b) => order(a.name) - order(b.name));
+    const colors = CONFIG.CHART.SERIES_COLORS;
+    const colorOf = i => colors[i % colors.length];
+    const formatValue = value => (Math.abs(value) >= 100 ? value.toFixed(0) : value.toFixed(1));
+    const groupLabel = name => (groupBy === 'status' ? name : `Threshold ${name}`);
+    
+    const indexed = Object.keys(state.frameSummaries).length;
+    const total = sorted.reduce((sum, group) => sum + group.count, 0);
+    elements.statsNote.textContent = (scope === 'frame'
+      ? `Current frame · ${total} system(s)`
+      : `Whole period · ${total} ${CONFIG.STATISTICS.PER_SYSTEM.includes(variable) ? 'system(s)' : 'observation(s)'} · ` +
+        `${indexed} of ${state.geojsonLayers.length} frame(s) indexed`) +
+      (groupBy === 'status' ? ` · threshold ${state.currentThresholdFilter}` : '');
+    
+    const axisStyle = title => ({
+      title: { display: !!title, text: title, color: '#f0f0f0' },
+      ticks: { color: '#e0e0e0', font: { size: 10 } },
+      grid: { color: 'rgba(160, 160, 160, 0.3)' }
+    });
+    const legend = { labels: { color: '#f0f0f0', boxWidth: 12 } };
+    
+    Object.values(statisticsCharts).forEach(chart => chart && chart.destroy());
+    
+    statisticsCharts.histogram = new Chart(elements.statsHistogram, {
+      type: 'bar',
+      data: {
+        labels: edges.slice(0, -1).map((edge, i) => `${formatValue(edge)}–${formatValue(edges[i + 1])}`),
+        datasets: sorted.map((group, i) => ({
+          label: groupLabel(group.name),
+          data: group.histogram,
+          backgroundColor: colorOf(i)
+        }))
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        plugins: { legend },
+        scales: {
+          x: { ...axisStyle(variable), stacked: true },
+          y: { ...axisStyle('Count'), stacked: true, beginAtZero: true }
+        }
+      }
     });
+    
+    statisticsCharts.boxPlot = new Chart(elements.statsBoxPlot, {
+      type: 'bar',
+      data: {
+        labels: sorted.map(group => groupLabel(group.name)),
+        datasets: [{
+          label: variable,
+          data: sorted.map(group => [group.box.q1, group.box.q3]),
+          backgroundColor: sorted.map((_, i) => colorOf(i)),
+          borderColor: '#f0f0f0',
+          borderWidth: 1,
+          borderSkipped: false
+        }]
+      },
+      plugins: [boxWhiskersPlugin],
+      options: {
+        indexAxis: 'y',
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        plugins: {
+          legend: { display: false },
+          boxWhiskers: { boxes: sorted.map(group => group.box) },
+          tooltip: {
+            callbacks: {
+              label: context => {
+                const { box, count } = sorted[context.dataIndex];
+                return [
+                  `n = ${count}`,
+                  `min ${utils.formatNumber(box.min)} · max ${utils.formatNumber(box.max)}`,
+                  `q1 ${utils.formatNumber(box.q1)} · median ${utils.formatNumber(box.median)} · q3 ${utils.formatNumber(box.q3)}`,
+                  `mean ${utils.formatNumber(box.mean)}`
+                ];
+              }
+            }
+          }
+        },
+        scales: {
+          // O eixo cobre os bigodes, não apenas as caixas
+          x: {
+            ...axisStyle(variable),
+            min: edges.length ? edges[0] : undefined,
+            max: edges.length ? edges[edges.length - 1] : undefined
+          },
+          y: axisStyle('')
+        }
+      }
+    });
+  };
+
+  /**
+   * Ativa ou desativa o painel de estatísticas
+   */
+  const setStatisticsEnabled = enabled => {
+    state.statistics.enabled = enabled;
+    elements.statisticsCheckbox.checked = enabled;
+    localStorage.setItem('statisticsEnabled', enabled);
+    updateStatistics();
+  };
+
+  CONFIG.STATISTICS.VARIABLES.forEach(variable => {
+    elements.statsVariableSelect.add(new Option(variable.charAt(0).toUpperCase() + variable.slice(1), variable));
+  });
+  elements.statsVariableSelect.value = state.statistics.variable;
+  elements.statsScopeSelect.value = state.statistics.scope;
+  elements.statsGroupSelect.value = state.statistics.groupBy;
+  
+  [
+    [elements.statsVariableSelect, 'variable'],
+    [elements.statsScopeSelect, 'scope'],
+    [elements.statsGroupSelect, 'groupBy']
+  ].forEach(([select, key]) => {
+    select.addEventListener("change", () => {
+      state.statistics[key] = select.value;
+      updateStatistics();
+    });
+  });
+  
+  elements.statisticsCheckbox.checked = state.statistics.enabled;
+  elements.statisticsCheckbox.addEventListener("change", () => setStatisticsEnabled(elements.statisticsCheckbox.checked));
+  elements.statsClose.addEventListener("click", () => setStatisticsEnabled(false));
+  
+  window.player.on('frame', () => {
+    if (state.statistics.scope === 'frame') updateStatistics();
+  });
+  updateStatistics();
+
+  // ============ EVOLUÇÃO DO DOMÍNIO ============
+  const domainCharts = { statuses: null, totals: null };
+
+  /**
+   * Mostra ou oculta o painel e redesenha as séries do domínio
+   */
+  const updateDomainSeries = () => {
+    if (!state.domainSeries.enabled) {
+      elements.domainPanel.style.display = "none";
+      return;
+    }
+    elements.domainPanel.style.display = "block";
+    renderDomainSeries();
+  };
+
+  /**
+   * Desenha, frame a frame, os sistemas por status (áreas empilhadas), a área
+   * total e as intensidades média e máxima do domínio no threshold atual
+   *
+   * Frames ainda não indexados ficam como lacunas nas séries.
+   */
+  const renderDomainSeries = () => {
+    if (typeof Chart === "undefined") return;
+    
+    const threshold = String(parseFloat(state.currentThresholdFilter));
+    const points = state.geojsonLayers
+      .map((frame, index) => {
+        const summary = state.frameSummaries[frame.fileName];
+        return {
+          time: state.timeAxis.times[index],
+          domain: summary ? summary.domain[threshold] || { statuses: {}, size: 0, max: null, mean: null } : null
+        };
+      })
+      .filter(point => point.time !== null && point.time !== undefined);
+    
+    // Status conhecidos na ordem padrão, seguidos dos demais encontrados
+    const found = new Set();
+    points.forEach(({ domain }) => domain && Object.keys(domain.statuses).forEach(status => found.add(status)));
+    const statuses = CONFIG.STATUSES.filter(status => found.has(status))
+      .concat(Array.from(found).filter(status => !CONFIG.STATUSES.includes(status)).sort());
+    
+    const seriesOf = valueOf => points.map(({ time, domain }) => ({ x: time, y: domain ? valueOf(domain) : null }));
+    const statusDatasets = statuses.map((status, i) => {
+      const color = CONFIG.STATUS_COLORS[status] || CONFIG.CHART.SERIES_COLORS[i % CONFIG.CHART.SERIES_COLORS.length];
+      return {
+        label: status,
+        data: seriesOf(domain => domain.statuses[status] || 0),
+        borderColor: color,
+        backgroundColor: `${color}99`,
+        fill: i === 0 ? 'origin' : '-1',
+        pointRadius: 0,
+        borderWidth: 1
+      };
+    });
+    const totalDatasets = [
+      { label: 'Total size', data: seriesOf(domain => domain.size), yAxisID: 'y', borderColor: '#f1c40f' },
+      { label: 'Mean intensity', data: seriesOf(domain => domain.mean), yAxisID: 'y1', borderColor: '#1abc9c' },
+      { label: 'Max intensity', data: seriesOf(domain => domain.max), yAxisID: 'y1', borderColor: '#e67e22' }
+    ].map(dataset => ({ ...dataset, backgroundColor: dataset.borderColor, pointRadius: 0, borderWidth: 1.5 }));
+    
+    const indexed = points.filter(point => point.domain).length;
+    elements.domainNote.textContent = `Threshold ${state.currentThresholdFilter} · ` +
+      `${indexed} of ${state.geojsonLayers.length} frame(s) indexed · click to jump`;
+    
+    // Mesmos status e threshold: atualizar os dados sem recriar os gráficos
+    const key = JSON.stringify([threshold, statuses]);
+    if (domainCharts.statuses && state.domainSeries.key === key) {
+      domainCharts.statuses.data.datasets.forEach((dataset, i) => { dataset.data = statusDatasets[i].data; });
+      domainCharts.totals.data.datasets.forEach((dataset, i) => { dataset.data = totalDatasets[i].data; });
+      updateDomainCursor();
+      return;
+    }
+    state.domainSeries.key = key;
+    
+    const axisStyle = (title, extra = {}) => ({
+      title: { display: !!title, text: title, color: '#f0f0f0' },
+      ticks: { color: '#e0e0e0', font: { size: 10 }, maxTicksLimit: 6 },
+      grid: { color: 'rgba(160, 160, 160, 0.3)' },
+      ...extra
+    });
+    const options = (scales, legendPosition) => ({
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      spanGaps: false,
+      interaction: { mode: 'index', intersect: false },
+      plugins: {
+        frameCursor: { cursors: [] },
+        legend: { position: legendPosition, labels: { color: '#f0f0f0', boxWidth: 10, font: { size: 10 } } },
+        tooltip: {
+          callbacks: {
+            title: items => `${timeService.format(items[0].parsed.x)} (${timeService.zoneLabel(items[0].parsed.x)})`,
+            label: context => `${context.dataset.label}: ${utils.formatNumber(context.parsed.y)}`
+          }
+        }
+      },
+      scales: {
+        x: axisStyle('', { type: 'linear', ticks: {
+          color: '#e0e0e0',
+          font: { size: 10 },
+          maxTicksLimit: 6,
+          callback: value => timeService.format(value, { timeOnly: true })
+        } }),
+        ...scales
+      }
+    });
+    
+    Object.values(domainCharts).forEach(chart => chart && chart.destroy());
+    
+    domainCharts.statuses = new Chart(elements.domainStatusChart, {
+      type: 'line',
+      data: { datasets: statusDatasets },
+      plugins: [frameCursorPlugin],
+      options: options({ y: axisStyle('Systems', { stacked: true, beginAtZero: true }) }, 'right')
+    });
+    domainCharts.totals = new Chart(elements.domainTotalsChart, {
+      type: 'line',
+      data: { datasets: totalDatasets },
+      plugins: [frameCursorPlugin],
+      options: options({
+        y: axisStyle('Size', { beginAtZero: true }),
+        y1: axisStyle('Intensity', { position: 'right', grid: { drawOnChartArea: false } })
+      }, 'top')
+    });
+    updateDomainCursor();
+  };
+
+  /**
+   * Move o cursor dos gráficos do domínio para o frame atual
+   */
+  const updateDomainCursor = () => {
+    const time = state.timeAxis.times[state.currentIndex];
+    Object.values(domainCharts).forEach(chart => {
+      if (!chart) return;
+      chart.options.plugins.frameCursor.cursors = time === null || time === undefined ? [] : [{ x: time, color: '#e74c3c' }];
+      chart.update('none');
+    });
+  };
+
+  /**
+   * Ativa ou desativa o painel de evolução do domínio
+   */
+  const setDomainSeriesEnabled = enabled => {
+    state.domainSeries.enabled = enabled;
+    elements.domainSeriesCheckbox.checked = enabled;
+    localStorage.setItem('domainSeriesEnabled', enabled);
+    updateDomainSeries();
+  };
+
+  [elements.domainStatusChart, elements.domainTotalsChart].forEach(canvas => {
+    canvas.addEventListener("click", e => {
+      const chart = canvas === elements.domainStatusChart ? domainCharts.statuses : domainCharts.totals;
+      if (!chart) return;
+      const index = nearestFrameIndex(chart.scales.x.getValueForPixel(e.offsetX));
+      if (index === -1) return;
+      markUserNavigation(e);
+      window.player.seek(index);
+    });
+  });
+  
+  elements.domainSeriesCheckbox.checked = state.domainSeries.enabled;
+  elements.domainSeriesCheckbox.addEventListener("change", () => setDomainSeriesEnabled(elements.domainSeriesCheckbox.checked));
+  elements.domainClose.addEventListener("click", () => setDomainSeriesEnabled(false));
+  
+  window.player.on('frame', () => {
+    if (state.domainSeries.enabled) updateDomainCursor();
+  });
+
+  // ============ COLORAÇÃO POR PROPRIEDADE ============
+  const choroplethLegend = L.control({ position: 'bottomleft' });
+  choroplethLegend.onAdd = () => L.DomUtil.create('div', 'choropleth-legend');
+  choroplethLegend.addTo(elements.map);
+
+  /**
+   * Ajusta o intervalo à rampa: a divergente fica simétrica em torno de zero
+   * quando os valores mudam de sinal
+   */
+  const choroplethDomain = range => {
+    if (!range || state.choropleth.ramp !== 'diverging' || range.min >= 0 || range.max <= 0) return range;
+    const extent = Math.max(-range.min, range.max);
+    return { min: -extent, max: extent };
+  };
+
+  /**
+   * Define o intervalo da escala de cores
+   *
+   * Na escala fixa usa-se o intervalo de todo o período indexado; enquanto ele
+   * não chega do índice (ou na escala por frame), o do frame atual.
+   */
+  const updateChoroplethRange = () => {
+    const { variable, scale, runRange } = state.choropleth;
+    let range = null;
+    
+    if (variable && scale === 'run' && runRange) {
+      range = runRange;
+    } else if (variable) {
+      const frame = state.geojsonLayers[state.currentIndex];
+      const values = frame && frame.geojson
+        ? frame.geojson.features.filter(passesFilters)
+          .map(feature => parseFloat(feature.properties[variable]))
+          .filter(value => !isNaN(value))
+        : [];
+      if (values.length) range = { min: Math.min(...values), max: Math.max(...values) };
+    }
+    
+    state.choropleth.range = choroplethDomain(range);
+    renderChoroplethLegend();
+  };
+
+  /**
+   * Consulta no índice o intervalo da propriedade em todo o período (escala fixa)
+   */
+  const updateChoroplethRunRange = () => {
+    const requestId = ++state.choropleth.requestId;
+    const { variable, scale } = state.choropleth;
+    if (!variable || scale !== 'run') {
+      state.choropleth.runRange = null;
+      restyleBoundaries();
+      return;
+    }
+    
+    frameIndex.range(variable, state.currentThresholdFilter)
+      .then(range => {
+        if (requestId !== state.choropleth.requestId) return;
+        state.choropleth.runRange = range;
+        restyleBoundaries();
+      })
+      .catch(err => console.error("Erro ao consultar o intervalo da propriedade:", err));
+  };
+
+  /**
+   * Reaplica os estilos às fronteiras exibidas após mudar a coloração
+   */
+  const restyleBoundaries = () => {
+    updateChoroplethRange();
+    if (!state.currentBoundaryLayer) return;
+    state.currentBoundaryLayer.eachLayer(layer => layer.setStyle(getSelectionStyle(layer.feature)));
+  };
+
+  /**
+   * Legenda da coloração no mapa: rampa, extremos e escala em uso
+   */
+  const renderChoroplethLegend = () => {
+    const container = choroplethLegend.getContainer();
+    const { variable, range, ramp, scale, runRange } = state.choropleth;
+    container.style.display = variable ? "block" : "none";
+    if (!variable) return;
+    
+    const stops = CONFIG.COLOR_RAMPS[ramp === 'diverging' ? 'DIVERGING' : 'SEQUENTIAL'];
+    const labels = range ? [range.min, (range.min + range.max) / 2, range.max].map(value => utils.formatNumber(value)) : [];
+    const scaleLabel = scale === 'run' && runRange ? "whole run" : "current frame";
+    container.innerHTML = `
+      <div class="choropleth-title">${variable.charAt(0).toUpperCase() + variable.slice(1)} · threshold ${state.currentThresholdFilter}</div>
+      <div class="ramp-bar" style="background: linear-gradient(to right, ${stops.join(", ")})"></div>
+      <div class="ramp-labels">${labels.map(label => `<span>${label}</span>`).join("")}</div>
+      <div class="option-note">Scale: ${scaleLabel} · ` +
+        `<span class="choropleth-missing" style="background: ${CONFIG.CHOROPLETH.MISSING_COLOR}"></span> no value</div>`;
+  };
+
+  [
+    [elements.choroplethVariableSelect, { "": "Default color", ...Object.fromEntries(CONFIG.CHOROPLETH.VARIABLES.map(variable =>
+      [variable, `Color by ${variable}`])) }, 'variable', 'choroplethVariable'],
+    [elements.choroplethRampSelect, CONFIG.CHOROPLETH.RAMPS, 'ramp', 'choroplethRamp'],
+    [elements.choroplethScaleSelect, CONFIG.CHOROPLETH.SCALES, 'scale', 'choroplethScale']
+  ].forEach(([select, options, key, storageKey]) => {
+    Object.entries(options).forEach(([value, label]) => select.add(new Option(label, value)));
+    select.value = state.choropleth[key];
+    select.addEventListener("change", () => {
+      state.choropleth[key] = select.value;
+      localStorage.setItem(storageKey, select.value);
+      updateChoroplethRunRange();
+    });
+  });
+  updateChoroplethRunRange();
+
+  // ============ SIMBOLOGIA POR STATUS ============
+  const statusLegend = L.control({ position: 'bottomleft' });
+  statusLegend.onAdd = () => {
+    const container = L.DomUtil.create('div', 'status-legend');
+    L.DomEvent.disableClickPropagation(container);
+    L.DomEvent.disableScrollPropagation(container);
+    return container;
+  };
+  statusLegend.addTo(elements.map);
+
+  /**
+   * Legenda dos status com a contagem no frame atual e a opção de ocultar cada um
+   */
+  const renderStatusLegend = () => {
+    const container = statusLegend.getContainer();
+    container.style.display = state.statusSymbology.enabled ? "block" : "none";
+    if (!state.statusSymbology.enabled) return;
+    
+    // Contagem antes do filtro de status, para mostrar também os ocultos
+    const counts = {};
+    const frame = state.geojsonLayers[state.currentIndex];
+    if (frame && frame.geojson) {
+      frame.geojson.features
+        .filter(feature => passesThreshold(feature) && passesQuery(feature))
+        .forEach(feature => {
+          counts[feature.properties.status] = (counts[feature.properties.status] || 0) + 1;
+        });
+    }
+    
+    const statuses = CONFIG.STATUSES.concat(Object.keys(counts).filter(status => !CONFIG.STATUSES.includes(status)).sort());
+    const key = JSON.stringify([statuses.map(status => counts[status] || 0), statuses, state.statusSymbology.hidden]);
+    if (key === state.statusSymbology.legendKey) return;
+    state.statusSymbology.legendKey = key;
+    
+    // Os status vêm dos dados: montar os itens com textContent, sem interpretar HTML
+    const title = document.createElement("div");
+    title.className = "choropleth-title";
+    title.textContent = "Status";
+    
+    const items = statuses.map(status => {
+      const symbol = getStatusSymbol(status);
+      const item = document.createElement("label");
+      item.className = "status-legend-item";
+      item.dataset.status = status;
+      item.title = `Double-click to show only ${status}`;
+      
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.dataset.status = status;
+      checkbox.checked = !state.statusSymbology.hidden.includes(status);
+      
+      const swatch = document.createElement("span");
+      swatch.className = "status-swatch";
+      swatch.style.borderColor = symbol.color;
+      swatch.style.borderStyle = symbol.dashArray ? "dashed" : "solid";
+      
+      const icon = document.createElement("i");
+      icon.className = `fas ${symbol.icon}`;
+      icon.style.color = symbol.color;
+      
+      const count = document.createElement("span");
+      count.className = "status-count";
+      count.textContent = counts[status] || 0;
+      
+      item.append(checkbox, swatch, icon, ` ${status}`, count);
+      return item;
+    });
+    
+    container.replaceChildren(title, ...items);
+  };
+
+  /**
+   * Define os status ocultos e redesenha as camadas filtradas
+   */
+  const setHiddenStatuses = hidden => {
+    state.statusSymbology.hidden = hidden;
+    localStorage.setItem('hiddenStatuses', JSON.stringify(hidden));
+    refreshFilteredLayers();
+  };
+
+  statusLegend.getContainer().addEventListener("change", e => {
+    const status = e.target.dataset.status;
+    if (status === undefined) return;
+    const hidden = state.statusSymbology.hidden.filter(hiddenStatus => hiddenStatus !== status);
+    setHiddenStatuses(e.target.checked ? hidden : hidden.concat(status));
+  });
+  
+  // Duplo clique em um status: exibir apenas ele (ou todos, se ele já era o único)
+  statusLegend.getContainer().addEventListener("dblclick", e => {
+    const item = e.target.closest(".status-legend-item");
+    if (!item) return;
+    const status = item.dataset.status;
+    const others = Array.from(statusLegend.getContainer().querySelectorAll(".status-legend-item"))
+      .map(label => label.dataset.status)
+      .filter(other => other !== status);
+    const onlyThis = others.every(other => state.statusSymbology.hidden.includes(other)) &&
+      !state.statusSymbology.hidden.includes(status);
+    setHiddenStatuses(onlyThis ? [] : others);
+  });
+  
+  elements.statusSymbologyCheckbox.checked = state.statusSymbology.enabled;
+  elements.statusSymbologyCheckbox.addEventListener("change", () => {
+    state.statusSymbology.enabled = elements.statusSymbologyCheckbox.checked;
+    localStorage.setItem('statusSymbology', state.statusSymbology.enabled);
+    refreshFilteredLayers();
+    renderStatusLegend();
+  });
+  renderStatusLegend();
+
+  // ============ THRESHOLDS ============
+  /**
+   * Thresholds do manifest, dos frames indexados e do frame atual, em ordem numérica
+   */
+  const collectThresholds = () => {
+    const thresholds = new Set();
+    (state.thresholds || []).forEach(threshold => {
+      const value = parseFloat(threshold);
+      if (!isNaN(value)) thresholds.add(String(value));
+    });
+    Object.values(state.frameSummaries).forEach(summary =>
+      Object.keys(summary.counts).forEach(threshold => thresholds.add(threshold)));
+    
+    const frame = state.geojsonLayers[state.currentIndex];
+    if (frame && frame.geojson) {
+      frame.geojson.features.forEach(feature => {
+        const value = feature.properties ? parseFloat(feature.properties.threshold) : NaN;
+        if (!isNaN(value)) thresholds.add(String(value));
+      });
+    }
+    return Array.from(thresholds).sort((a, b) => parseFloat(a) - parseFloat(b));
+  };
+
+  /**
+   * Recria as opções de threshold quando os thresholds dos dados mudam
+   *
+   * Se o threshold escolhido não existir nos dados, passa-se ao padrão (quando
+   * presente) ou ao menor threshold disponível.
+   */
+  const renderThresholdOptions = () => {
+    const thresholds = collectThresholds();
+    const key = thresholds.join('|');
+    if (key === state.renderedThresholds) return;
+    state.renderedThresholds = key;
+    
+    const current = parseFloat(state.currentThresholdFilter);
+    const selected = thresholds.find(threshold => parseFloat(threshold) === current) ||
+      thresholds.find(threshold => parseFloat(threshold) === parseFloat(CONFIG.DEFAULT_THRESHOLD)) ||
+      thresholds[0];
+    
+    elements.thresholdOptions.innerHTML = "";
+    thresholds.forEach(threshold => {
+      const label = document.createElement("label");
+      const radio = document.createElement("input");
+      radio.type = "radio";
+      radio.name = "thresholdFilter";
+      radio.value = threshold;
+      radio.checked = threshold === selected;
+      label.append(radio, ` ${threshold}`);
+      elements.thresholdOptions.appendChild(label);
+    });
+    elements.thresholdNote.textContent = thresholds.length ? "" : "No threshold found in the loaded frames yet";
+    
+    if (selected !== undefined && parseFloat(selected) !== current) {
+      updateThresholdFilter();
+    } else {
+      updateNestedThresholds();
+    }
+  };
+
+  /**
+   * Verifica se um ponto [lon, lat] está dentro do contorno externo de uma geometria poligonal
+   */
+  const geometryContains = (geometry, [x, y]) => {
+    const polygons = geometry.type === "Polygon" ? [geometry.coordinates]
+      : geometry.type === "MultiPolygon" ? geometry.coordinates : [];
+    
+    return polygons.some(polygon => {
+      const ring = polygon[0] || [];
+      let inside = false;
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+      }
+      return inside;
+    });
+  };
+
+  /**
+   * Liga cada sistema ao sistema do threshold imediatamente mais externo que o contém
+   *
+   * Os thresholds são ordenados da maior para a menor área total no frame (o
+   * mais externo primeiro), o que vale para limiares crescentes (chuva) e
+   * decrescentes (temperatura de brilho). Quando a feature traz iuid, sua parte
+   * inteira é o uid do sistema externo; senão, usa-se o contorno que contém o centroide.
+   */
+  const buildNestedLinks = features => {
+    const byThreshold = new Map();
+    features.forEach(feature => {
+      const threshold = String(parseFloat(feature.properties.threshold));
+      if (!byThreshold.has(threshold)) byThreshold.set(threshold, []);
+      byThreshold.get(threshold).push(feature);
+    });
+    
+    const totalSize = list => list.reduce((sum, feature) => sum + (parseFloat(feature.properties.size) || 0), 0);
+    const order = Array.from(byThreshold.keys())
+      .sort((a, b) => totalSize(byThreshold.get(b)) - totalSize(byThreshold.get(a)));
+    
+    const links = [];
+    order.slice(1).forEach((threshold, i) => {
+      const outerFeatures = byThreshold.get(order[i]);
+      byThreshold.get(threshold).forEach(feature => {
+        const centroid = computeCentroid(feature);
+        if (!centroid) return;
+        
+        const iuid = parseFloat(feature.properties.iuid);
+        const outer = (!isNaN(iuid) && outerFeatures.find(f => parseFloat(f.properties.uid) === Math.floor(iuid))) ||
+          outerFeatures.find(f => f.geometry && geometryContains(f.geometry, [centroid[1], centroid[0]]));
+        if (outer) links.push({ inner: feature, outer, innerCentroid: centroid, outerCentroid: computeCentroid(outer) });
+      });
+    });
+    
+    return { order, byThreshold, links };
+  };
+
+  /**
+   * Desenha os demais thresholds do frame como contornos aninhados, ligados aos
+   * sistemas que os contêm
+   *
+   * O threshold escolhido continua sendo a camada interativa; os sistemas ligados
+   * ao selecionado (por dentro ou por fora) são destacados.
+   */
+  const updateNestedThresholds = () => {
+    nestedGroup.clearLayers();
+    elements.nestedLegend.innerHTML = "";
+    
+    const frame = state.geojsonLayers[state.currentIndex];
+    if (!state.nested.enabled || !frame || !frame.geojson) return;
+    
+    const features = frame.geojson.features.filter(feature => feature.geometry && feature.properties &&
+      !isNaN(parseFloat(feature.properties.threshold)) && passesQuery(feature));
+    const { order, byThreshold, links } = buildNestedLinks(features);
+    const current = String(parseFloat(state.currentThresholdFilter));
+    const styleOf = threshold => (threshold === current
+      ? CONFIG.STYLES.BOUNDARY
+      : CONFIG.NESTED.STYLES[order.indexOf(threshold) % CONFIG.NESTED.STYLES.length]);
+    
+    // Sistemas ligados, direta ou indiretamente, aos sistemas selecionados
+    const linked = new Set(features.filter(feature =>
+      String(parseFloat(feature.properties.threshold)) === current && isSelectedUid(feature.properties.uid)));
+    let grew = linked.size > 0;
+    while (grew) {
+      grew = false;
+      links.forEach(({ inner, outer }) => {
+        if (linked.has(inner) !== linked.has(outer)) {
+          linked.add(inner);
+          linked.add(outer);
+          grew = true;
+        }
+      });
+    }
+    
+    order.filter(threshold => threshold !== current).forEach(threshold => {
+      const style = styleOf(threshold);
+      nestedGroup.addLayer(L.geoJSON({ type: "FeatureCollection", features: byThreshold.get(threshold) }, {
+        pane: 'nestedPane',
+        interactive: false,
+        style: feature => (linked.has(feature) ? { ...style, weight: style.weight + 2, opacity: 1 } : style)
+      }));
+    });
+    
+    links.forEach(({ inner, outer, innerCentroid, outerCentroid }) => {
+      if (!outerCentroid) return;
+      const highlighted = linked.has(inner) && linked.has(outer);
+      nestedGroup.addLayer(L.polyline([outerCentroid, innerCentroid], {
+        ...CONFIG.NESTED.LINK,
+        opacity: highlighted ? 1 : CONFIG.NESTED.LINK.opacity,
+        pane: 'nestedPane',
+        interactive: false
+      }));
+    });
+    
+    // Legenda: do threshold mais externo ao mais interno
+    elements.nestedLegend.innerHTML = order.map(threshold => {
+      const style = styleOf(threshold);
+      return `<span class="nested-swatch" style="border-color: ${style.color}; ` +
+        `border-style: ${style.dashArray ? 'dashed' : 'solid'}"></span>${threshold}` +
+        `${threshold === current ? ' (selected)' : ''}`;
+    }).join(' ⊃ ') + ` · ${links.length} link(s)`;
+  };
+
+  elements.thresholdOptions.addEventListener("change", updateThresholdFilter);
+  
+  elements.nestedCheckbox.checked = state.nested.enabled;
+  elements.nestedCheckbox.addEventListener("change", () => {
+    state.nested.enabled = elements.nestedCheckbox.checked;
+    localStorage.setItem('nestedThresholds', state.nested.enabled);
+    updateNestedThresholds();
+  });
+  
+  window.player.on('frame', () => renderThresholdOptions());
+
+  // ============ CONSULTA DE ATRIBUTOS ============
+  /**
+   * Redesenha as camadas que dependem dos filtros de exibição (consulta e status)
+   */
+  const refreshFilteredLayers = () => {
+    updateBoundaryLayer();
+    restoreSelectedLayer(state.selection.uid);
+    updateMarkers();
+    updateOnionSkin();
+    updateNestedThresholds();
+    updateNowcast();
+    if (elements.showTrajectoryCheckbox.checked) loadTrajectoryForCurrentLayer();
+  };
+
+  /**
+   * Lê as consultas salvas no localStorage
+   */
+  const loadSavedQueries = () => {
+    try {
+      return JSON.parse(localStorage.getItem('savedQueries')) || [];
+    } catch (err) {
+      return [];
+    }
+  };
+
+  /**
+   * Compila e aplica uma consulta às fronteiras, rótulos, trajetórias e onion-skin
+   *
+   * Uma consulta inválida é informada e mantém a anterior em vigor.
+   */
+  const applyQuery = text => {
+    let compiled;
+    try {
+      compiled = systemQuery.compile(text);
+    } catch (err) {
+      state.query.error = err.message;
+      updateQueryCount();
+      return false;
+    }
+    
+    state.query.compiled = compiled;
+    state.query.error = null;
+    localStorage.setItem('attributeQuery', compiled ? compiled.text : '');
+    
+    refreshFilteredLayers();
+    updateQueryCount();
+    return true;
+  };
+
+  /**
+   * Mostra quantos sistemas do frame atual atendem à consulta (ou o erro de sintaxe)
+   */
+  const updateQueryCount = () => {
+    const note = elements.queryNote;
+    note.classList.toggle("query-error", !!state.query.error);
+    if (state.query.error) {
+      note.textContent = state.query.error;
+      return;
+    }
+    
+    const frame = state.geojsonLayers[state.currentIndex];
+    if (!state.query.compiled) {
+      note.textContent = "No query: all systems are shown";
+    } else if (!frame || !frame.geojson) {
+      note.textContent = "Waiting for the current frame...";
+    } else {
+      const candidates = frame.geojson.features.filter(passesThreshold);
+      const matches = candidates.filter(passesQuery).length;
+      note.textContent = `${matches} of ${candidates.length} system(s) match in this frame`;
+    }
+  };
+
+  /**
+   * Preenche o seletor de consultas salvas
+   */
+  const renderSavedQueries = () => {
+    const select = elements.querySavedSelect;
+    select.innerHTML = "";
+    select.add(new Option(state.query.saved.length ? "Saved queries..." : "No saved queries", ""));
+    state.query.saved.forEach(({ name, text }) => {
+      const option = new Option(name, name);
+      option.title = text;
+      select.add(option);
+    });
+    elements.queryDeleteButton.disabled = true;
+  };
+
+  /**
+   * Salva a consulta do campo com um nome (substitui a de mesmo nome)
+   */
+  const saveQuery = () => {
+    const text = elements.queryInput.value.trim();
+    if (!text || !applyQuery(text)) return;
+    
+    const name = (prompt("Name for this query:", text) || "").trim();
+    if (!name) return;
+    
+    state.query.saved = state.query.saved.filter(query => query.name !== name).concat({ name, text });
+    state.query.saved.sort((a, b) => a.name.localeCompare(b.name));
+    localStorage.setItem('savedQueries', JSON.stringify(state.query.saved));
+    renderSavedQueries();
+    elements.querySavedSelect.value = name;
+    elements.queryDeleteButton.disabled = false;
+  };
+
+  state.query.saved = loadSavedQueries();
+  elements.queryInput.value = localStorage.getItem('attributeQuery') || "";
+  try {
+    state.query.compiled = systemQuery.compile(elements.queryInput.value);
+  } catch (err) {
+    state.query.error = err.message;
+  }
+  renderSavedQueries();
+  updateQueryCount();
+  
+  elements.queryApplyButton.addEventListener("click", () => applyQuery(elements.queryInput.value));
+  elements.queryClearButton.addEventListener("click", () => {
+    elements.queryInput.value = "";
+    elements.querySavedSelect.value = "";
+    elements.queryDeleteButton.disabled = true;
+    applyQuery("");
+  });
+  elements.querySaveButton.addEventListener("click", saveQuery);
+  elements.queryInput.addEventListener("keydown", e => {
+    // Enter aplica; Shift+Enter quebra a linha
+    if (e.key === "Enter" && !e.shiftKey) {
+      e.preventDefault();
+      applyQuery(elements.queryInput.value);
+    }
+  });
+  elements.querySavedSelect.addEventListener("change", () => {
+    const query = state.query.saved.find(saved => saved.name === elements.querySavedSelect.value);
+    elements.queryDeleteButton.disabled = !query;
+    if (!query) return;
+    elements.queryInput.value = query.text;
+    applyQuery(query.text);
+  });
+  elements.queryDeleteButton.addEventListener("click", () => {
+    const name = elements.querySavedSelect.value;
+    if (!name || !confirm(`Delete the saved query "${name}"?`)) return;
+    state.query.saved = state.query.saved.filter(query => query.name !== name);
+    localStorage.setItem('savedQueries', JSON.stringify(state.query.saved));
+    renderSavedQueries();
+  });
+  
+  window.player.on('frame', () => updateQueryCount());
+
+  // ============ BUSCA POR UID ============
+  /**
+   * Consulta no índice os UIDs que correspondem ao texto digitado
+   */
+  const updateUidSearch = () => {
+    const requestId = ++state.uidSearch.requestId;
+    const query = elements.uidSearchInput.value.trim();
+    if (!query) {
+      state.uidSearch.results = [];
+      renderUidSearchResults(query);
+      return;
+    }
+    
+    frameIndex.search(query, CONFIG.UID_SEARCH.MAX_RESULTS)
+      .then(results => {
+        if (requestId !== state.uidSearch.requestId) return;
+        state.uidSearch.results = results;
+        state.uidSearch.active = results.length ? 0 : -1;
+        renderUidSearchResults(query);
+      })
+      .catch(err => console.error("Erro na busca por UID:", err));
+  };
+
+  /**
+   * Lista as sugestões com o primeiro e o último instante e os thresholds de cada UID
+   */
+  const renderUidSearchResults = query => {
+    const list = elements.uidSearchResults;
+    list.innerHTML = "";
+    
+    state.uidSearch.results.forEach((result, i) => {
+      const [first, last] = [result.first, result.last].map(fileName => timeService.format(timeService.parseFileName(fileName)));
+      const item = document.createElement("li");
+      item.classList.toggle("active", i === state.uidSearch.active);
+      item.innerHTML = `<strong>UID ${result.uid}</strong>` +
+        `<span>${first}${result.last !== result.first ? ` → ${last}` : ''} · ` +
+        `threshold ${result.thresholds.join(', ')} · ${result.frames} frame(s)</span>`;
+      // mousedown (e não click) para agir antes de o campo perder o foco
+      item.addEventListener("mousedown", e => {
+        e.preventDefault();
+        chooseUidSearchResult(result, e);
+      });
+      list.appendChild(item);
+    });
+    
+    list.style.display = state.uidSearch.results.length ? "block" : "none";
+    
+    const indexed = Object.keys(state.frameSummaries).length;
+    elements.uidSearchNote.textContent = query && !state.uidSearch.results.length
+      ? `No system matches "${query}" in ${indexed} of ${state.geojsonLayers.length} indexed frame(s)`
+      : "";
+  };
+
+  /**
+   * Salta para o frame mais próximo em que o UID existe e o seleciona
+   *
+   * O threshold atual é mantido quando o sistema aparece nele; caso contrário,
+   * passa-se ao primeiro threshold do sistema.
+   */
+  const chooseUidSearchResult = (result, e) => {
+    elements.uidSearchInput.value = String(result.uid);
+    state.uidSearch.results = [];
+    renderUidSearchResults("");
+    markUserNavigation(e);
+    
+    if (!result.thresholds.includes(String(parseFloat(state.currentThresholdFilter)))) {
+      const radio = Array.from(elements.thresholdRadios)
+        .find(r => String(parseFloat(r.value)) === result.thresholds[0]);
+      if (radio) {
+        radio.checked = true;
+        updateThresholdFilter();
+      }
+    }
+    
+    frameIndex.lookup(result.uid).then(occurrences => {
+      const threshold = parseFloat(state.currentThresholdFilter);
+      const fileNames = new Set(occurrences
+        .filter(occurrence => parseFloat(occurrence.threshold) === threshold)
+        .map(occurrence => occurrence.fileName));
+      const index = state.geojsonLayers.reduce((best, frame, i) =>
+        (fileNames.has(frame.fileName) && (best === -1 || Math.abs(i - state.currentIndex) < Math.abs(best - state.currentIndex)) ? i : best), -1);
+      
+      if (index === -1) {
+        elements.uidSearchNote.textContent = `UID ${result.uid} does not appear at threshold ${state.currentThresholdFilter}`;
+        return;
+      }
+      
+      if (index === state.currentIndex && state.geojsonLayers[index].geojson) {
+        focusUid(result.uid);
+        return;
+      }
+      
+      // A seleção é concluída quando o frame for exibido
+      state.uidSearch.pending = { uid: result.uid, index };
+      state.selection.uid = result.uid;
+      state.selection.uids = [result.uid];
+      window.player.seek(index);
+    }).catch(err => console.error("Erro ao localizar o UID:", err));
+  };
+
+  /**
+   * Seleciona o UID no frame atual e enquadra o mapa na sua fronteira
+   */
+  const focusUid = uid => selectPolygonByUid(uid).then(found => {
+    if (found && state.selection.layer) {
+      elements.map.fitBounds(state.selection.layer.getBounds(), {
+        padding: CONFIG.UID_SEARCH.FIT_PADDING,
+        maxZoom: CONFIG.UID_SEARCH.MAX_ZOOM
+      });
+    }
+  });
+
+  elements.uidSearchInput.addEventListener("input", updateUidSearch);
+  elements.uidSearchInput.addEventListener("focus", updateUidSearch);
+  elements.uidSearchInput.addEventListener("blur", () => {
+    elements.uidSearchResults.style.display = "none";
+  });
+  elements.uidSearchInput.addEventListener("keydown", e => {
+    const { results } = state.uidSearch;
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      if (!results.length) return;
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      state.uidSearch.active = (state.uidSearch.active + step + results.length) % results.length;
+      renderUidSearchResults(elements.uidSearchInput.value.trim());
+    } else if (e.key === "Enter") {
+      const result = results[Math.max(0, state.uidSearch.active)];
+      if (result) chooseUidSearchResult(result, e);
+    } else if (e.key === "Escape") {
+      elements.uidSearchInput.blur();
+    }
+  });
+  
+  window.player.on('frame', () => {
+    const pending = state.uidSearch.pending;
+    if (!pending || pending.index !== state.currentIndex) return;
+    state.uidSearch.pending = null;
+    focusUid(pending.uid);
+  });
+
+  // ============ MAPA DE TRAJETOS DO PERÍODO ============
+  /**
+   * Desenha em uma única camada os trajetos de todos os sistemas do período
+   *
+   * Os trajetos ligam os centroides de cada UID frame a frame (índice do worker)
+   * e são coloridos pelo tempo de vida, pela intensidade máxima ou pelo início.
+   */
+  const updateTrackMap = () => {
+    const requestId = ++state.trackMap.requestId;
+    if (!state.trackMap.enabled) {
+      trackMapGroup.clearLayers();
+      elements.trackMapLegend.innerHTML = "";
+      return;
+    }
+    
+    // Frames do período: todos ou apenas o intervalo in/out do player
+    let frames = state.geojsonLayers;
+    if (state.trackMap.period === 'range') {
+      const { range } = window.player.getState();
+      const start = range.start !== null ? range.start : 0;
+      const end = range.end !== null ? range.end : frames.length - 1;
+      frames = frames.slice(start, end + 1);
+    }
+    const timeByFile = new Map(frames.map(frame => [frame.fileName, getFrameTime(frame)]));
+    
+    frameIndex.tracks(state.currentThresholdFilter, frames.map(frame => frame.fileName))
+      .then(tracks => {
+        if (requestId !== state.trackMap.requestId) return;
+        renderTrackMap(tracks, timeByFile, frames.length);
+      })
+      .catch(err => console.error("Erro ao consultar os trajetos:", err));
+  };
+
+  /**
+   * Cria as linhas coloridas e a legenda do mapa de trajetos
+   */
+  const renderTrackMap = (tracks, timeByFile, frameCount) => {
+    trackMapGroup.clearLayers();
+    
+    const colorBy = state.trackMap.colorBy;
+    const valueOf = track => {
+      const first = timeByFile.get(track.points[0].fileName);
+      const last = timeByFile.get(track.points[track.points.length - 1].fileName);
+      if (colorBy === 'max') return track.max;
+      if (colorBy === 'start') return first;
+      return first !== null && last !== null ? (last - first) / 60000 : null; // Minutos
+    };
+    
+    const values = tracks.map(valueOf).filter(value => value !== null && !isNaN(value));
+    const [min, max] = values.length ? [Math.min(...values), Math.max(...values)] : [0, 0];
+    const formatValue = value => {
+      if (colorBy === 'start') return timeService.format(value);
+      if (colorBy === 'lifetime') return utils.formatDuration(value * 60000);
+      return utils.formatNumber(value);
+    };
+    
+    tracks.forEach(track => {
+      const value = valueOf(track);
+      const color = value === null || isNaN(value)
+        ? "#999999"
+        : utils.colorRamp(CONFIG.COLOR_RAMPS.SEQUENTIAL, max > min ? (value - min) / (max - min) : 1);
+      const latlngs = track.points.map(point => [point.coordinates[1], point.coordinates[0]]);
+      
+      const layer = latlngs.length > 1
+        ? L.polyline(latlngs, { ...CONFIG.STYLES.TRACK_MAP, color })
+        : L.circleMarker(latlngs[0], { ...CONFIG.STYLES.TRACK_MAP, color, radius: 2 });
+      layer.bindTooltip(`UID ${track.uid}<br>${CONFIG.TRACK_MAP.COLOR_BY[colorBy]}: ` +
+        (value === null || isNaN(value) ? "N/A" : formatValue(value)));
+      trackMapGroup.addLayer(layer);
+    });
+    
+    // Legenda com a rampa de cores e a cobertura do índice
+    const indexed = Array.from(timeByFile.keys()).filter(fileName => state.frameSummaries[fileName]).length;
+    elements.trackMapLegend.innerHTML = `
+      <div class="ramp-bar" style="background: linear-gradient(to right, ${CONFIG.COLOR_RAMPS.SEQUENTIAL.join(", ")})"></div>
+      <div class="ramp-labels"><span>${values.length ? formatValue(min) : ""}</span><span>${values.length ? formatValue(max) : ""}</span></div>
+      <div class="option-note">${tracks.length} track(s) · ${indexed} of ${frameCount} frame(s) indexed</div>`;
+  };
+
+  window.player.on('range', () => {
+    if (state.trackMap.period === 'range') updateTrackMap();
+  });
+
+  // ============ ANIMAÇÃO INTERPOLADA ============
+  /**
+   * Encerra a transição em andamento, exibindo o frame atual completo
+   */
+  const finishInterpolation = () => {
+    state.interpolation.timers.forEach(clearTimeout);
+    state.interpolation.timers = [];
+    
+    if (state.interpolation.overlay) {
+      elements.map.removeLayer(state.interpolation.overlay);
+      state.interpolation.overlay = null;
+    }
+    if (state.currentBoundaryLayer && !elements.map.hasLayer(state.currentBoundaryLayer)) {
+      state.currentBoundaryLayer.addTo(elements.map);
+    }
+    if (!elements.map.hasLayer(markerGroup)) markerGroup.addTo(elements.map);
+  };
+
+  /**
+   * Verifica se a passagem entre dois frames deve ser interpolada
+   */
+  const shouldInterpolate = (from, to) => {
+    if (!state.interpolation.enabled || !window.player.isPlaying()) return false;
+    if (Math.abs(to - from) !== 1 || getGapBefore(Math.max(from, to))) return false;
+    
+    const [fromFrame, toFrame] = [state.geojsonLayers[from], state.geojsonLayers[to]];
+    return !!(fromFrame && fromFrame.geojson && toFrame && toFrame.geojson);
+  };
+
+  /**
+   * Anima a passagem do frame `from` para o frame atual
+   *
+   * O frame atual já está carregado no estado; suas layers ficam ocultas enquanto
+   * as fronteiras intermediárias são desenhadas ao longo do intervalo entre frames.
+   */
+  const animateTransition = from => {
+    const to = state.currentIndex;
+    const visible = feature => passesFilters(feature) &&
+      (!state.selection.feature || isSelectedUid(feature.properties.uid));
+    
+    let transitions;
+    try {
+      transitions = frameInterpolation.buildTransitions(
+        state.geojsonLayers[from].geojson.features.filter(visible),
+        state.geojsonLayers[to].geojson.features.filter(visible),
+        state.geojsonLayers[to].trajectoryGeojson
+      );
+    } catch (err) {
+      // Geometrias inesperadas: exibir o frame sem interpolação
+      console.warn("Erro ao interpolar frames:", err);
+      return;
+    }
+    
+    // Limitar as sub-etapas para respeitar a velocidade de reprodução
+    const interval = 1000 / window.player.getState().fps;
+    const steps = Math.min(state.interpolation.steps, Math.floor(interval / CONFIG.INTERPOLATION.MIN_STEP_MS) - 1);
+    if (steps < 1 || !transitions.length) return;
+    
+    const toLatLngs = ring => ring.map(([x, y]) => [y, x]);
+    const items = transitions.map(transition => {
+      const style = getSelectionStyle(transition.feature);
+      const polygon = L.polygon([], { ...style, interactive: false });
+      
+      const infoText = buildMarkerText(transition.feature);
+      const marker = infoText ? L.marker([0, 0], { opacity: 0, interactive: false }) : null;
+      if (marker) {
+        marker.bindTooltip(infoText, { permanent: true, direction: "top", offset: [0, -10], className: "centroid-tooltip" });
+      }
+      
+      return { transition, polygon, marker, style };
+    });
+    
+    const drawStep = t => {
+      items.forEach(({ transition, polygon, marker, style }) => {
+        const { ring, label, opacity } = frameInterpolation.at(transition, t);
+        polygon.setLatLngs(toLatLngs(ring));
+        polygon.setStyle({ opacity: style.opacity * opacity, fillOpacity: style.fillOpacity * opacity });
+        if (marker) {
+          marker.setLatLng([label[1], label[0]]);
+          // Rótulos dos sistemas que surgem ou desaparecem acompanham o fade
+          const tooltip = marker.getTooltip();
+          if (tooltip && tooltip.getElement()) tooltip.getElement().style.opacity = opacity;
+        }
+      });
+    };
+    
+    state.interpolation.overlay = L.layerGroup(items.reduce((layers, { polygon, marker }) =>
+      marker ? layers.concat(polygon, marker) : layers.concat(polygon), []));
+    
+    if (state.currentBoundaryLayer) elements.map.removeLayer(state.currentBoundaryLayer);
+    elements.map.removeLayer(markerGroup);
+    state.interpolation.overlay.addTo(elements.map);
+    drawStep(1 / (steps + 1));
+    
+    const stepDuration = interval / (steps + 1);
+    for (let k = 2; k <= steps; k++) {
+      state.interpolation.timers.push(setTimeout(() => drawStep(k / (steps + 1)), (k - 1) * stepDuration));
+    }
+    state.interpolation.timers.push(setTimeout(finishInterpolation, steps * stepDuration));
+  };
+
+  // Ao pausar, exibir imediatamente o frame completo
+  window.player.on('pause', finishInterpolation);
+
+  // ============ EIXO DE TEMPO DA TIMELINE ============
+  /**
+   * Retorna o instante (ms, UTC) de um frame: timestamp do manifest/tabela ou nome do arquivo
+   */
+  const getFrameTime = frame => {
+    const time = timeService.parse(frame.timestamp);
+    return time !== null ? time : timeService.parseFileName(frame.fileName);
+  };
+
+  /**
+   * Posição na timeline (em passos de tempo) do frame no índice
+   */
+  const positionOf = index =>
+    state.timeAxis.positions[index] !== undefined ? state.timeAxis.positions[index] : index;
+
+  /**
+   * Índice do frame mais próximo de uma posição da timeline
+   */
+  const indexAtPosition = position => {
+    const positions = state.timeAxis.positions;
+    if (!positions.length) return position;
+    
+    // Busca binária pelo primeiro frame com posição >= position
+    let low = 0;
+    let high = positions.length - 1;
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      if (positions[mid] < position) low = mid + 1;
+      else high = mid;
+    }
+    
+    if (low > 0 && position - positions[low - 1] <= positions[low] - position) return low - 1;
+    return low;
+  };
+
+  /**
+   * Lacuna imediatamente antes do frame no índice, ou null
+   */
+  const getGapBefore = index => state.timeAxis.gaps.find(gap => gap.index === index) || null;
+
+  /**
+   * Move a timeline para o frame no índice
+   */
+  const setTimelineIndex = index => {
+    elements.timelineSlider.value = positionOf(index);
+    updateTimelineProgress();
+  };
+
+  /**
+   * Calcula o eixo de tempo: passo inferido, posição de cada frame e lacunas
+   */
+  const buildTimeAxis = () => {
+    const times = state.geojsonLayers.map(getFrameTime);
+    const hasTimes = times.length > 1 && times.every(time => time !== null);
+    
+    // Passo de tempo = mediana dos intervalos entre frames consecutivos
+    const intervals = hasTimes
+      ? times.slice(1).map((time, i) => time - times[i]).filter(diff => diff > 0).sort((a, b) => a - b)
+      : [];
+    const step = intervals.length ? intervals[Math.floor(intervals.length / 2)] : null;
+    
+    const positions = times.map((time, i) => (step ? Math.round((time - times[0]) / step) : i));
+    // Garantir posições estritamente crescentes (timestamps repetidos ou fora do passo)
+    for (let i = 1; i < positions.length; i++) {
+      if (positions[i] <= positions[i - 1]) positions[i] = positions[i - 1] + 1;
+    }
+    
+    const gaps = [];
+    for (let i = 1; i < positions.length; i++) {
+      const missing = positions[i] - positions[i - 1] - 1;
+      if (step && missing > 0) {
+        gaps.push({ index: i, missing, duration: times[i] - times[i - 1] });
+      }
+    }
+    
+    state.timeAxis = { times, step, positions, gaps };
+    elements.timelineSlider.max = positions.length ? positions[positions.length - 1] : 0;
+    
+    // Limitar o seletor de data/hora ao período dos dados
+    const knownTimes = times.filter(time => time !== null);
+    elements.jumpTimeInput.min = knownTimes.length ? toPickerValue(knownTimes[0]) : "";
+    elements.jumpTimeInput.max = knownTimes.length ? toPickerValue(knownTimes[knownTimes.length - 1]) : "";
+    
+    renderTimelineAxis();
+    renderActivitySparkline();
+    renderTimelineRange(window.player.getState());
+  };
+
+  /**
+   * Posição CSS ao longo da trilha, compensando a largura do marcador da timeline
+   */
+  const trackOffset = percent =>
+    `calc(${percent}% + ${((0.5 - percent / 100) * CONFIG.TIMELINE.THUMB_WIDTH).toFixed(1)}px)`;
+
+  /**
+   * Desenha os rótulos de data/hora e as lacunas sobre a timeline
+   */
+  const renderTimelineAxis = () => {
+    elements.timelineTicks.innerHTML = "";
+    elements.timelineGaps.innerHTML = "";
+    
+    const { times, step, positions, gaps } = state.timeAxis;
+    const maxPosition = positions[positions.length - 1];
+    if (!step || !maxPosition) return;
+    
+    const start = times[0];
+    const span = times[times.length - 1] - start;
+    
+    // Escolher o menor intervalo entre rótulos que não exceda o limite de rótulos
+    const minute = 60 * 1000;
+    const interval = CONFIG.TIMELINE.TICK_INTERVALS.map(m => m * minute)
+      .find(ms => span / ms <= CONFIG.TIMELINE.MAX_TICKS) || span;
+    
+    // Rótulos alinhados às horas cheias do fuso de exibição: os ticks percorrem o
+    // relógio local, o que mantém as horas cheias dos dois lados do horário de verão
+    let previous = -Infinity;
+    for (let wallClock = Math.ceil(timeService.toWallClock(start) / interval) * interval;
+      wallClock <= timeService.toWallClock(start + span); wallClock += interval) {
+      const tick = timeService.fromWallClockMs(wallClock);
+      // Horas inexistentes ou repetidas na transição do horário de verão
+      if (tick < start || tick > start + span || tick <= previous) continue;
+      previous = tick;
+      
+      const clock = timeService.format(tick, { timeOnly: true });
+      const isDayStart = clock === "00:00";
+      
+      const label = document.createElement("span");
+      label.className = isDayStart ? "timeline-tick day" : "timeline-tick";
+      label.textContent = isDayStart ? timeService.format(tick, { dateOnly: true }) : clock;
+      label.style.left = trackOffset(((tick - start) / span) * 100);
+      elements.timelineTicks.appendChild(label);
+    }
+    
+    gaps.forEach(gap => {
+      const from = positions[gap.index - 1];
+      const to = positions[gap.index];
+
+      const marker = document.createElement("div");
+      marker.className = "timeline-gap";
+      marker.style.left = trackOffset((from / maxPosition) * 100);
+      marker.style.width = `${((to - from) / maxPosition) * 100}%`;
+      marker.title = `Missing ${gap.missing} step(s) between ` +
+        `${timeService.format(times[gap.index - 1])} and ${timeService.format(times[gap.index])}`;
+      elements.timelineGaps.appendChild(marker);
+    });
+  };
+
+  // ============ ATIVIDADE E SALTO NO TEMPO ============
+  /**
+   * Indexa um frame sem mantê-lo em memória (tabela importada, pasta local, cache ou rede)
+   */
+  const indexFrame = frame => (frame.data
+    ? frameIndex.index(frame.fileName, frame.data.geojson)
+    : readFrameText(frame).then(text => frameIndex.scan(frame.fileName, text)));
+
+  /**
+   * Frame ainda fora do índice e fora da janela de carregamento (que indexa os seus)
+   */
+  const needsIndexing = frame =>
+    !state.frameSummaries[frame.fileName] && !frame.scanned && frame.status === 'idle';
+
+  /**
+   * Indexa, em segundo plano e um frame por vez, os frames já disponíveis localmente
+   *
+   * Por padrão só entram os frames em memória (tabela importada), de uma pasta
+   * local ou do cache, sem novos downloads. Com a indexação completa ativa, os
+   * demais frames também são baixados, até CONFIG.SCAN_MAX_DOWNLOADS por varredura.
+   */
+  const startFrameScan = () => {
+    const token = ++state.scanToken;
+    const queue = state.geojsonLayers.slice();
+    let downloads = 0;
+    
+    // Resolve true se o frame foi indexado, false se não estava disponível
+    const scanFrame = frame => {
+      const availablePromise = frame.data || frame.file ? Promise.resolve(true)
+        : frame.version ? geojsonCache.has(CONFIG.DIRECTORIES.BOUNDARY + frame.fileName, String(frame.version))
+          : Promise.resolve(false);
+      
+      return availablePromise.then(available => {
+        if (!available && !(state.scanAll && downloads < CONFIG.SCAN_MAX_DOWNLOADS)) return false;
+        if (!available) downloads++;
+        return indexFrame(frame).then(() => true);
+      });
+    };
+    
+    const scanNext = () => {
+      if (token !== state.scanToken) return;
+      
+      // Frames carregados pela janela já são indexados pelo próprio carregamento
+      let frame = queue.shift();
+      while (frame && !needsIndexing(frame)) frame = queue.shift();
+      if (!frame) {
+        refreshFrameSummaries();
+        return;
+      }
+      
+      scanFrame(frame)
+        .then(indexed => {
+          if (!indexed) return 0;
+          frame.scanned = true;
+          scheduleSummaryRefresh();
+          return CONFIG.SCAN_DELAY;
+        })
+        .catch(err => {
+          frame.scanned = true;
+          console.warn(`Erro ao indexar ${frame.fileName}:`, err);
+          return CONFIG.SCAN_DELAY;
+        })
+        .then(delay => setTimeout(scanNext, delay));
+    };
+    
+    scanNext();
+  };
+
+  /**
+   * Indexa os frames do ciclo de vida do sistema selecionado, mesmo sem a indexação completa
+   *
+   * Para trás, os frames desde a gênese (instante atual menos `lifetime`, em
+   * minutos); para frente, frame a frame enquanto o UID continuar presente. Ao
+   * final, o gráfico de evolução é refeito com o ciclo de vida completo.
+   */
+  const indexSystemLifecycle = feature => {
+    const token = ++state.lifecycleToken;
+    const uid = feature.properties.uid;
+    const current = state.currentIndex;
+    const times = state.timeAxis.times;
+    const lifetime = parseFloat(feature.properties.lifetime);
+    const genesis = isNaN(lifetime) ? times[current] : times[current] - lifetime * 60000;
+    const isCurrent = () => token === state.lifecycleToken && state.selection.uid === uid;
+    
+    const refreshChart = () => {
+      if (!isCurrent()) return;
+      delete state.dataCache[uid];
+      if (state.selection.feature) updatePolygonChart(state.selection.feature);
+      scheduleSummaryRefresh();
+    };
+    
+    // Frames entre a gênese e o frame atual, um por vez
+    const before = state.geojsonLayers.filter((frame, index) =>
+      index < current && times[index] >= genesis && needsIndexing(frame));
+    const backward = before.reduce((chain, frame) => chain.then(() => {
+      if (!isCurrent() || !needsIndexing(frame)) return null;
+      frame.scanned = true;
+      return indexFrame(frame).catch(err => console.warn(`Erro ao indexar ${frame.fileName}:`, err));
+    }), Promise.resolve());
+    
+    // Frames seguintes enquanto o sistema existir neles
+    const forward = index => {
+      const frame = state.geojsonLayers[index];
+      if (!frame || !isCurrent()) return Promise.resolve();
+      
+      let indexed = Promise.resolve();
+      if (needsIndexing(frame)) {
+        frame.scanned = true;
+        indexed = indexFrame(frame);
+      } else if (frame.status === 'loading') {
+        // O carregamento em andamento já indexa o frame
+        indexed = frameStore.request(index);
+      }
+      return indexed
+        .then(() => frameIndex.timeSeries(uid))
+        .then(entries => {
+          if (entries.some(entry => entry.fileName === frame.fileName)) return forward(index + 1);
+          return null;
+        })
+        .catch(err => console.warn(`Erro ao indexar ${frame.fileName}:`, err));
+    };
+    
+    if (!before.length && !state.geojsonLayers[current + 1]) return;
+    backward
+      .then(() => forward(current + 1))
+      .then(refreshChart);
+  };
+
+  /**
+   * Atualiza os resumos dos frames a partir do índice e redesenha a atividade
+   */
+  const refreshFrameSummaries = () => frameIndex.summaries()
+    .then(summaries => {
+      state.frameSummaries = summaries;
+      renderThresholdOptions();
+      if (state.choropleth.scale === 'run') updateChoroplethRunRange();
+      renderActivitySparkline();
+      updateTrackMap();
+      // Frames recém-indexados podem completar a genealogia e as estatísticas do período
+      state.genealogy.key = null;
+      updateGenealogy();
+      if (state.statistics.scope === 'period') updateStatistics();
+      if (state.domainSeries.enabled) updateDomainSeries();
+    })
+    .catch(err => console.warn("Erro ao consultar os resumos dos frames:", err));
+
+  let summaryRefreshTimeout = null;
+
+  /**
+   * Agenda a atualização dos resumos (agrupa várias indexações seguidas)
+   */
+  const scheduleSummaryRefresh = () => {
+    if (summaryRefreshTimeout) return;
+    summaryRefreshTimeout = setTimeout(() => {
+      summaryRefreshTimeout = null;
+      refreshFrameSummaries();
+    }, 1000);
+  };
+
+  /**
+   * Número de sistemas de um frame no threshold atual (null se ainda não indexado)
+   */
+  const getActiveCount = frame => {
+    const threshold = String(parseFloat(state.currentThresholdFilter));
+    const summary = state.frameSummaries[frame.fileName];
+    if (summary) return summary.counts[threshold] || 0;
+    // Contagens publicadas no manifest dispensam o download do frame
+    if (frame.counts) return frame.counts[threshold] || 0;
+    return null;
+  };
+
+  /**
+   * Converte uma coordenada horizontal da trilha da timeline em posição no tempo
+   */
+  const positionAtX = (x, width) => {
+    const maxPosition = positionOf(state.geojsonLayers.length - 1);
+    const thumb = CONFIG.TIMELINE.THUMB_WIDTH;
+    const ratio = Math.max(0, Math.min(1, (x - thumb / 2) / (width - thumb)));
+    return Math.round(ratio * maxPosition);
+  };
+
+  /**
+   * Desenha a contagem de sistemas ativos por frame acima da timeline
+   */
+  const renderActivitySparkline = () => {
+    const canvas = elements.activitySparkline;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    if (!width || !height) return;
+    
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+    const ctx = canvas.getContext("2d");
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    
+    const counts = state.geojsonLayers.map(getActiveCount);
+    const maxCount = Math.max(1, ...counts.filter(count => count !== null));
+    const maxPosition = positionOf(state.geojsonLayers.length - 1);
+    if (!maxPosition) return;
+    
+    // Mesma geometria da trilha do input range (compensando o marcador)
+    const thumb = CONFIG.TIMELINE.THUMB_WIDTH;
+    const xOf = index => thumb / 2 + (positionOf(index) / maxPosition) * (width - thumb);
+    const barWidth = Math.max(1, (width - thumb) / (maxPosition + 1) - 1);
+    
+    counts.forEach((count, index) => {
+      if (count === null) return;
+      const barHeight = Math.max(count ? 1 : 0, (count / maxCount) * (height - 1));
+      ctx.fillStyle = index === state.currentIndex ? "#e74c3c" : "rgba(236, 240, 241, 0.55)";
+      ctx.fillRect(xOf(index) - barWidth / 2, height - barHeight, barWidth, barHeight);
+    });
+  };
+
+  /**
+   * Índice do frame mais próximo de um instante
+   */
+  const nearestFrameIndex = time => {
+    let best = -1;
+    state.timeAxis.times.forEach((frameTime, index) => {
+      if (frameTime === null) return;
+      if (best === -1 || Math.abs(frameTime - time) < Math.abs(state.timeAxis.times[best] - time)) best = index;
+    });
+    return best;
+  };
+
+  /**
+   * Valor do seletor datetime-local ("YYYY-MM-DDTHH:MM") no fuso de exibição
+   */
+  const toPickerValue = time => timeService.format(time).replace(' ', 'T');
+
+  /**
+   * Salta para o frame mais próximo da data/hora escolhida no seletor
+   */
+  const jumpToPickerTime = () => {
+    const match = elements.jumpTimeInput.value.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/);
+    if (!match) return;
+    
+    const [_, year, month, day, hour, minute] = match.map(Number);
+    const index = nearestFrameIndex(timeService.fromWallClockMs(Date.UTC(year, month - 1, day, hour, minute)));
+    if (index !== -1) window.player.seek(index);
+  };
+
+  elements.activitySparkline.addEventListener("click", e => {
+    markUserNavigation(e);
+    const rect = elements.activitySparkline.getBoundingClientRect();
+    window.player.seek(indexAtPosition(positionAtX(e.clientX - rect.left, rect.width)));
+  });
+
+  elements.activitySparkline.addEventListener("mousemove", e => {
+    const rect = elements.activitySparkline.getBoundingClientRect();
+    const frame = state.geojsonLayers[indexAtPosition(positionAtX(e.clientX - rect.left, rect.width))];
+    if (!frame) return;
+    const count = getActiveCount(frame);
+    elements.activitySparkline.title = `${timeService.format(getFrameTime(frame))}: ` +
+      (count === null ? "not indexed yet" : `${count} system(s) at threshold ${state.currentThresholdFilter}`);
+  });
+
+  // Pré-preencher o seletor com o instante do frame atual
+  elements.jumpTimeInput.addEventListener("focus", () => {
+    const time = state.timeAxis.times[state.currentIndex];
+    if (time !== null && time !== undefined && !elements.jumpTimeInput.value) {
+      elements.jumpTimeInput.value = toPickerValue(time);
+    }
+  });
+  elements.jumpTimeInput.addEventListener("change", e => {
+    markUserNavigation(e);
+    jumpToPickerTime();
+  });
+
+  window.player.on('frame', () => renderActivitySparkline());
+  window.addEventListener("resize", () => renderActivitySparkline());
+
+  // ============ CARREGAMENTO DE DADOS ============
+  /**
+   * Normaliza uma referência de arquivo do manifest (texto ou { path, version })
+   */
+  const normalizeManifestEntry = (entry, baseUrl) => {
+    if (!entry) return null;
+    const path = typeof entry === 'string' ? entry : entry.path;
+    if (!path) return null;
+    
+    return {
+      name: utils.getBaseName(path),
+      download_url: new URL(path, baseUrl).href,
+      version: typeof entry === 'object' ? (entry.version || entry.sha || entry.size || null) : null
+    };
+  };
+
+  /**
+   * Normaliza as contagens por threshold do manifest ({ "2.5": 12 }) ou retorna null
+   */
+  const normalizeManifestCounts = counts => {
+    if (!counts || typeof counts !== 'object') return null;
+    
+    const normalized = {};
+    Object.entries(counts).forEach(([threshold, count]) => {
+      if (!isNaN(parseFloat(threshold)) && !isNaN(parseFloat(count))) {
+        normalized[String(parseFloat(threshold))] = parseFloat(count);
+      }
+    });
+    return Object.keys(normalized).length ? normalized : null;
+  };
+
+  /**
+   * Busca o manifest.json com a lista de frames; resolve com null se não existir
+   */
+  const fetchManifest = () =>
+    fetch(CONFIG.MANIFEST_URL, { cache: 'no-cache' })
+      .then(r => (r.ok ? r.json().then(manifest => ({ manifest, baseUrl: r.url })) : null))
+      .then(result => {
+        if (!result) return null;
+        const { manifest, baseUrl } = result;
+        if (!manifest || !Array.isArray(manifest.frames) || !manifest.frames.length) {
+          console.warn("manifest.json inválido ou vazio, usando descoberta alternativa");
+          return null;
+        }
+        
+        const boundary = [];
+        const trajectory = {};
+        manifest.frames.forEach(frame => {
+          const boundaryFile = normalizeManifestEntry(frame.boundary, baseUrl);
+          if (!boundaryFile) return;
+          
+          const trajectoryFile = normalizeManifestEntry(frame.trajectory, baseUrl);
+          boundary.push({
+            ...boundaryFile,
+            timestamp: frame.timestamp || null,
+            thresholds: frame.thresholds || null,
+            counts: normalizeManifestCounts(frame.counts),
+            trajectory: trajectoryFile
+          });
+          if (trajectoryFile) trajectory[trajectoryFile.name] = trajectoryFile.download_url;
+        });
+        
+        return {
+          source: 'manifest',
+          boundary: utils.sortFiles(boundary, "name"),
+          trajectory,
+          thresholds: manifest.thresholds || null
+        };
+      })
+      .catch(() => null);
+
+  /**
+   * Busca lista de arquivos de fronteira
+   */
+  const fetchBoundaryFileList = () => 
+    utils.scanLocalDirectory(CONFIG.DIRECTORIES.BOUNDARY).then(files => {
+      if (files.length > 0) {
+        return {
+          source: 'directory',
+          files: utils.sortFiles(files.map(f => ({ 
+            name: f, 
+            download_url: utils.getLocalUrl(f, CONFIG.DIRECTORIES.BOUNDARY) 
+          })), "name")
+        };
+      }
+      
+      return fetch(CONFIG.GITHUB.BOUNDARY_API)
+        .then(r => { 
+          if (!r.ok) throw new Error(r.status); 
+          return r.json(); 
+        })
+        .then(files => ({
+          source: 'github',
+          files: utils.sortFiles(files.filter(file => /\.geojson$/i.test(file.name)), "name")
+        }));
+    });
+
+  /**
+   * Busca lista de arquivos de trajetória
+   */
+  const fetchTrajectoryFileList = () =>
+    utils.scanLocalDirectory(CONFIG.DIRECTORIES.TRAJECTORY).then(files => {
+      if (files.length > 0) {
+        let fileMap = {};
+        files.forEach(f => fileMap[utils.getBaseName(f)] = utils.getLocalUrl(f, CONFIG.DIRECTORIES.TRAJECTORY));
+        return { source: 'directory', files: fileMap };
+      }
+      
+      return fetch(CONFIG.GITHUB.TRAJECTORY_API)
+        .then(r => { 
+          if (!r.ok) throw new Error(r.status); 
+          return r.json(); 
+        })
+        .then(files => {
+          let m = {};
+          files.forEach(f => { 
+            if (/\.geojson$/i.test(f.name)) m[f.name] = f.download_url; 
+          });
+          return { source: 'github', files: m };
+        });
+    });
+
+  /**
+   * Descobre os arquivos de dados: manifest.json primeiro, depois listagem do
+   * diretório e, por último, a API do GitHub
+   */
+  const discoverFiles = () =>
+    fetchManifest().then(fromManifest => {
+      if (fromManifest) return fromManifest;
+      
+      return Promise.all([
+        fetchBoundaryFileList(),
+        fetchTrajectoryFileList().catch(err => {
+          console.error("Erro ao carregar arquivos de trajetória:", err);
+          return { source: null, files: {} };
+        })
+      ]).then(([boundary, trajectory]) => ({
+        source: boundary.source,
+        boundary: boundary.files,
+        trajectory: trajectory.files,
+        thresholds: null
+      }));
+    });
+
+  /**
+   * Exibe no painel a origem dos dados em uso
+   */
+  const updateDataSourceInfo = (source, frameCount) => {
+    const label = CONFIG.DATA_SOURCE_LABELS[source] || "No data found";
+    console.info(`Fonte de dados: ${label} (${frameCount} frames)`);
+    if (elements.dataSource) {
+      elements.dataSource.textContent = source ? `${label} (${frameCount} frames)` : label;
+    }
+  };
+
+  /**
+   * Baixa e interpreta o GeoJSON de fronteira de um frame
+   */
+  const fetchFrame = frame => {
+    // Frames importados de uma tabela de rastreamento já estão em memória
+    if (frame.data) {
+      return frameIndex.index(frame.fileName, frame.data.geojson)
+        .then(() => ({ geojson: frame.data.geojson, bytes: 0 }));
+    }
+    
+    return readFrameText(frame).then(text => frameIndex.parse(frame.fileName, text)
+      .then(geojson => ({ geojson, bytes: text.length })));
+  };
+
+  /**
+   * Lê o texto GeoJSON de um frame; arquivos de uma pasta local são lidos
+   * diretamente, sem passar pelo cache
+   */
+  const readFrameText = frame => (frame.file
+    ? frame.file.text()
+    : geojsonCache.fetchText(frame.url, {
+        key: CONFIG.DIRECTORIES.BOUNDARY + frame.fileName,
+        version: frame.version
+      }));
+
+  /**
+   * Atualiza o indicador de carregamento do frame atual
+   */
+  const updateFrameStatus = frame => {
+    if (!elements.frameStatus) return;
+
+    if (frame && frame.status === 'loading') {
+      elements.frameStatus.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Loading frame...';
+      elements.frameStatus.className = 'loading';
+    } else if (frame && frame.status === 'error') {
+      elements.frameStatus.innerHTML = '<i class="fas fa-exclamation-triangle"></i> Failed to load frame';
+      elements.frameStatus.className = 'error';
+    } else {
+      elements.frameStatus.innerHTML = '';
+      elements.frameStatus.className = '';
+    }
+  };
+
+  /**
+   * Cria um frame (ainda sem dados) a partir da descrição de um arquivo
+   */
+  const createFrame = file => ({
+    fileName: file.name,
+    url: file.download_url || null,
+    file: file.file || null, // Arquivo local (pasta escolhida pelo usuário)
+    data: file.data || null, // Frame gerado a partir de uma tabela de rastreamento
+    version: file.version || file.sha || null, // Versão do conteúdo (manifest ou API do GitHub), usada pelo cache
+    timestamp: file.timestamp || null,
+    counts: file.counts || null, // Sistemas por threshold informados pelo manifest
+    trajectoryUrl: file.trajectory ? file.trajectory.download_url : null,
+    trajectoryVersion: file.trajectory ? file.trajectory.version : null,
+    geojson: null,
+    trajectoryLayer: null,
+    trajectoryGeojson: null
+  });
+
+  /**
+   * Aplica um conjunto de dados: cria os frames, reinicia o estado e exibe o último frame
+   */
+  const applyDataset = dataset => {
+    const files = dataset.boundary;
+    
+    // Limpar o conjunto de dados anterior
+    removeCurrentLayer();
+    state.selection.uid = null;
+    state.selection.uids = [];
+    state.selection.feature = null;
+    state.selection.layer = null;
+    state.dataCache = {};
+    state.frameSummaries = {};
+    document.getElementById(CONFIG.DOM_IDS.POLYGON_CHART_CONTAINER).style.display = "none";
+    frameIndex.reset();
+    
+    state.dataSource = dataset.source;
+    state.trajectoryFiles = dataset.trajectory;
+    state.thresholds = dataset.thresholds;
+    updateDataSourceInfo(dataset.source, files.length);
+    
+    // Criar os frames sem dados; o frameStore carrega apenas os próximos ao índice atual
+    state.geojsonLayers = files.map(createFrame);
+    frameStore.init(state.geojsonLayers, fetchFrame);
+    
+    // Configurar UI assim que a lista de arquivos é conhecida
+    const lastIndex = state.geojsonLayers.length - 1;
+    elements.timelineSlider.disabled = false;
+    elements.timelineSlider.min = 0;
+    buildTimeAxis();
+    setTimelineIndex(lastIndex); // Último índice
+    
+    state.currentIndex = lastIndex;
+    showLayerAtIndex(lastIndex);
+    startFrameScan();
+    
+    return lastIndex;
+  };
 
   /**
    * Carrega as camadas de fronteira
    */
   const loadBoundaryLayers = () => {
-    fetchBoundaryFileList().then(files => {
+    discoverFiles().then(dataset => {
+      const files = dataset.boundary;
+      
       if (!files.length) {
         throw new Error("Nenhum arquivo .geojson encontrado para boundary");
       }
 
-      // Verificar novos arquivos
-      const storedFiles = JSON.parse(localStorage.getItem('boundaryFiles')) || [];
-      const newFiles = files.filter(file => 
-        !storedFiles.some(storedFile => storedFile.name === file.name)
-      );
-
-      if (newFiles.length > 0) {
-        // Atualizar a lista de arquivos armazenada e recarregar
-        localStorage.setItem('boundaryFiles', JSON.stringify(files));
-        location.reload();
-        return;
-      }
-
-      // Carregar todos os arquivos
-      let loadingPromises = [];
-      files.forEach(file => {
-        const promise = fetch(file.download_url)
-          .then(r => { 
-            if (!r.ok) throw new Error(file.download_url); 
-            return r.json(); 
-          })
-          .then(geojson => state.geojsonLayers.push({
-            fileName: file.name,
-            geojson,
-            trajectoryLayer: null,
-            trajectoryGeojson: null
-          }))
-          .catch(err => console.error(`Erro ao carregar arquivo ${file.name}:`, err));
-        
-        loadingPromises.push(promise);
-      });
+      const lastIndex = applyDataset(dataset);
 
-      // Usar Promise.all para garantir que todos os arquivos sejam carregados
-      Promise.all(loadingPromises)
-        .then(() => {
-          if (state.geojsonLayers.length > 0) {
-            // Processamento após carregar todos os arquivos
-            state.geojsonLayers.sort((a, b) => 
-              a.fileName.toLowerCase().localeCompare(b.fileName.toLowerCase())
-            );
-            
-            // Configurar UI
-            elements.timelineSlider.disabled = false;
-            elements.timelineSlider.min = 0;
-            elements.timelineSlider.max = state.geojsonLayers.length - 1;
-            elements.timelineSlider.value = state.geojsonLayers.length - 1; // Último índice
-            
-            // Forçar a exibição da primeira camada
-            showLayerAtIndex(0);
-            
-            // Depois, se necessário, mostrar a última camada
-            setTimeout(() => {
-              showLayerAtIndex(state.geojsonLayers.length - 1);
-              state.playing = false;
-              elements.playPauseBtn.textContent = "Play";
-              
-              // Verificar se havia um sistema selecionado antes do recarregamento
-              const previouslySelectedUid = localStorage.getItem('selectedSystemUid');
-              if (previouslySelectedUid) {
-                // Tentar selecionar o mesmo sistema após o recarregamento
-                setTimeout(() => {
-                  selectPolygonByUid(previouslySelectedUid);
-                  // Limpar o UID armazenado após restaurar a seleção
-                  localStorage.removeItem('selectedSystemUid');
-                }, 300);
-              }
-              
-              // Forçar uma atualização de exibição
-              updateBoundaryLayer();
-              updateMarkers();
-              if (elements.showTrajectoryCheckbox.checked) {
-                loadTrajectoryForCurrentLayer();
-              }
-              // Inicializar o progresso da timeline
-              updateTimelineProgress();
-
-              // Restaurar o estado do mapa após um pequeno delay para garantir que tudo está inicializado
-              setTimeout(() => {
-                restoreMapViewState();
-              }, 500);
-            }, 300);
-          }
-        });
+      // Aguardar o frame atual para restaurar a visualização
+      frameStore.request(lastIndex).then(() => restoreMapViewState()).catch(() => {});
     }).catch(err => {
       console.error("Erro ao carregar camadas de fronteira:", err);
+      updateDataSourceInfo(null, 0);
+    });
+  };
+
+  /**
+   * Verifica se o usuário está navegando pelo histórico (arrastando a timeline,
+   * reproduzindo ou com navegação manual recente)
+   */
+  const isScrubbingHistory = () =>
+    state.timelineDragging ||
+    window.player.isPlaying() ||
+    Date.now() - state.lastUserNavigation < CONFIG.FOLLOW_LATEST_IDLE;
+
+  /**
+   * Insere novos frames em ordem, estendendo a timeline sem recarregar a página
+   */
+  const appendNewFrames = newFiles => {
+    const wasAtLatest = state.currentIndex === state.geojsonLayers.length - 1;
+    const insertedIndexes = [];
+    
+    newFiles.forEach(file => {
+      const frame = createFrame(file);
+      let insertAt = state.geojsonLayers.findIndex(existing =>
+        existing.fileName.toLowerCase().localeCompare(frame.fileName.toLowerCase()) > 0
+      );
+      if (insertAt === -1) insertAt = state.geojsonLayers.length;
+      
+      frameStore.insert(insertAt, frame);
+      window.player.frameInserted(insertAt);
+      insertedIndexes.forEach((index, i) => {
+        if (index >= insertAt) insertedIndexes[i] = index + 1;
+      });
+      insertedIndexes.push(insertAt);
+      
+      // Manter o índice atual apontando para o mesmo frame
+      if (insertAt <= state.currentIndex) state.currentIndex++;
     });
+    
+    buildTimeAxis();
+    setTimelineIndex(state.currentIndex);
+    updateDataSourceInfo(state.dataSource, state.geojsonLayers.length);
+    
+    const lastIndex = state.geojsonLayers.length - 1;
+    if (state.followLatest && (wasAtLatest || !isScrubbingHistory())) {
+      showLayerAtIndex(lastIndex);
+    } else {
+      frameStore.focus(state.currentIndex);
+      // Baixar os novos frames para que fiquem disponíveis no índice
+      insertedIndexes.forEach(index => frameStore.request(index).catch(() => {}));
+    }
+    startFrameScan();
   };
 
   /**
    * Verifica periodicamente por novos arquivos de fronteira
    */
   const checkForNewBoundaryFiles = () => {
-    fetchBoundaryFileList().then(files => {
-      const storedFiles = JSON.parse(localStorage.getItem('boundaryFiles')) || [];
-      const newFiles = files.filter(file => 
-        !storedFiles.some(storedFile => storedFile.name === file.name)
-      );
+    // Dados abertos do disco local não são atualizados pelo servidor
+    if (state.dataSource === 'local' || state.dataSource === 'table') return;
+    
+    discoverFiles().then(dataset => {
+      if (dataset.source !== state.dataSource) return;
+      
+      const knownFiles = new Set(state.geojsonLayers.map(frame => frame.fileName));
+      const newFiles = dataset.boundary.filter(file => !knownFiles.has(file.name));
       
       if (newFiles.length > 0) {
-        console.log("Novos arquivos encontrados, recarregando...");
-        
-        // Salvar o UID do sistema selecionado antes do recarregamento
-        if (state.selection.uid) {
-          localStorage.setItem('selectedSystemUid', state.selection.uid);
-        }
-        
-        // Salvar o estado da visualização do mapa
-        saveMapViewState();
-        
-        localStorage.setItem('boundaryFiles', JSON.stringify(files));
-        location.reload();
+        console.log(`${newFiles.length} novo(s) arquivo(s) encontrado(s), adicionando à timeline...`);
+        state.trajectoryFiles = { ...state.trajectoryFiles, ...dataset.trajectory };
+        appendNewFrames(newFiles);
       }
     }).catch(err => {
       console.error("Erro ao verificar novos arquivos:", err);
     });
   };
 
-  /**
-   * Carrega os arquivos de trajetória
-   */
-  const loadTrajectoryFiles = () => {
-    fetchTrajectoryFileList()
-      .then(filesMap => {
-        state.trajectoryFiles = filesMap;
-      })
-      .catch(err => {
-        console.error("Erro ao carregar arquivos de trajetória:", err);
-      });
-  };
-
   /**
    * Carrega a trajetória para a camada atual
    */
@@ -1483,10 +4432,30 @@ document.addEventListener("DOMContentLoaded", () => {
     if (!currentLayer) return;
     
     const baseName = utils.getBaseName(currentLayer.fileName);
-    let trajectoryUrl = state.trajectoryFiles[baseName] ||
-      Object.keys(state.trajectoryFiles).find(k => 
+    
+    // Frames importados de uma tabela trazem a trajetória gerada a partir da coluna WKT
+    if (currentLayer.data) {
+      removeTrajectoryLayer();
+      if (!currentLayer.data.trajectoryGeojson) {
+        console.warn("Tabela importada sem coluna de trajetória");
+        elements.showTrajectoryCheckbox.checked = false;
+        return;
+      }
+      currentLayer.trajectoryGeojson = currentLayer.data.trajectoryGeojson;
+    }
+    
+    // URL remota ou arquivo local (File) da trajetória correspondente
+    let trajectoryUrl = currentLayer.trajectoryUrl ||
+      state.trajectoryFiles[baseName] ||
+      state.trajectoryFiles[Object.keys(state.trajectoryFiles).find(k => 
         k.toLowerCase() === baseName.toLowerCase()
-      );
+      )];
+    
+    if (!trajectoryUrl && !currentLayer.trajectoryGeojson && state.dataSource === 'local') {
+      console.warn("Trajetória não encontrada na pasta local:", baseName);
+      elements.showTrajectoryCheckbox.checked = false;
+      return;
+    }
     
     if (!trajectoryUrl) {
       // Fallback para a URL raw do GitHub
@@ -1505,12 +4474,16 @@ document.addEventListener("DOMContentLoaded", () => {
       return;
     }
     
-    // Caso contrário, carregamos os dados
-    fetch(trajectoryUrl)
-      .then(r => { 
-        if (!r.ok) throw new Error(trajectoryUrl); 
-        return r.json(); 
-      })
+    // Caso contrário, carregamos os dados (do cache local quando a versão não mudou)
+    const textPromise = trajectoryUrl instanceof Blob
+      ? trajectoryUrl.text()
+      : geojsonCache.fetchText(trajectoryUrl, {
+          key: CONFIG.DIRECTORIES.TRAJECTORY + baseName,
+          version: currentLayer.trajectoryVersion
+        });
+    
+    textPromise
+      .then(text => JSON.parse(text))
       .then(geojson => {
         currentLayer.trajectoryGeojson = geojson;
         state.currentTrajectoryLayer = createTrajectoryLayer(geojson);
@@ -1580,6 +4553,16 @@ document.addEventListener("DOMContentLoaded", () => {
     }
     updateBoundaryLayer();
     updateMarkers();
+    updateOnionSkin();
+    updateNestedThresholds();
+    updateNowcast();
+    updateGenealogy();
+    updateStatistics();
+    updateDomainSeries();
+    updateQueryCount();
+    updateChoroplethRunRange();
+    updateTrackMap();
+    renderActivitySparkline();
     if (elements.showTrajectoryCheckbox.checked) loadTrajectoryForCurrentLayer();
   };
 
@@ -1589,101 +4572,246 @@ document.addEventListener("DOMContentLoaded", () => {
   const showLayerAtIndex = index => {
     if (index < 0 || index >= state.geojsonLayers.length) return;
     
+    // Direção da navegação, usada para pré-carregar os próximos frames
+    const direction = index === state.currentIndex ? 0 : (index > state.currentIndex ? 1 : -1);
+    
+    finishInterpolation();
+    
     // Salvar o UID atual antes de remover a camada
     const currentSelectedUid = state.selection.uid;
     
     removeCurrentLayer();
     state.currentIndex = index;
-    updateBoundaryLayer();
+    frameStore.focus(index, direction);
     
-    // Se havia um polígono selecionado, tentar selecioná-lo novamente na nova camada
-    if (currentSelectedUid) {
-      // Restaurar a seleção do UID na nova camada
-      state.selection.uid = currentSelectedUid;
-      
-      // Tentar encontrar o polígono na nova camada e aplicar estilo
-      let found = false;
-      state.currentBoundaryLayer.eachLayer(layer => {
-        if (layer.feature && 
-            layer.feature.properties && 
-            layer.feature.properties.uid === currentSelectedUid &&
-            passesThreshold(layer.feature)) {
-          
-          state.selection.feature = layer.feature;
-          state.selection.layer = layer;
-          layer.setStyle(CONFIG.STYLES.SELECTED);
-          
-          updatePolygonChart(layer.feature);
-          found = true;
-        }
-      });
+    const frame = state.geojsonLayers[index];
+    updateFrameStatus(frame);
+    
+    // Frame ainda não carregado: exibir o estado de carregamento e aguardar
+    if (!frame.geojson) {
+      updateTimestampInfo(frame);
+      setTimelineIndex(index);
       
-      if (!found) {
-        state.selection.feature = null;
-        state.selection.layer = null;
-        document.getElementById(CONFIG.DOM_IDS.POLYGON_CHART_CONTAINER).style.display = "none";
-      }
+      frameStore.request(index)
+        .then(() => {
+          if (state.currentIndex === index) showLayerAtIndex(index);
+        })
+        .catch(err => {
+          if (err.message === 'cancelled') return;
+          console.error(`Erro ao carregar arquivo ${frame.fileName}:`, err);
+          if (state.currentIndex === index) updateFrameStatus(frame);
+        });
+      return;
     }
     
+    updateBoundaryLayer();
+    
+    // Se havia um polígono selecionado, tentar selecioná-lo novamente na nova camada
+    restoreSelectedLayer(currentSelectedUid);
+    
     // Atualizar os marcadores com as opções de exibição atuais
     updateMarkers();
     updateTimestampInfo(state.geojsonLayers[state.currentIndex]);
     updateTrajectoryDisplay();
-    elements.timelineSlider.value = state.currentIndex;
-    updateTimelineProgress();
+    updateOnionSkin();
+    updateNestedThresholds();
+    updateNowcast();
+    updateGenealogy();
+    setTimelineIndex(state.currentIndex);
+    window.player.notifyFrame(state.currentIndex);
+  };
+
+  /**
+   * Decide se a reprodução pode passar de um frame ao outro (modo de lacunas)
+   *
+   * No modo "pause" a reprodução para antes de uma lacuna; ao retomar, a lacuna
+   * em que parou é atravessada.
+   */
+  const allowPlaybackStep = (from, to) => {
+    const crossesGap = Math.abs(to - from) === 1 && getGapBefore(Math.max(from, to)) !== null;
+    
+    if (crossesGap && state.gapMode === 'pause' && state.gapPausedAt !== from) {
+      state.gapPausedAt = from;
+      return false;
+    }
+    
+    state.gapPausedAt = null;
+    return true;
   };
 
+  // Registrar os frames como fonte do player (player.js)
+  window.player.attach({
+    count: () => state.geojsonLayers.length,
+    index: () => state.currentIndex,
+    show: index => {
+      const from = state.currentIndex;
+      const interpolate = shouldInterpolate(from, index);
+      showLayerAtIndex(index);
+      if (interpolate) animateTransition(from);
+    },
+    allowStep: allowPlaybackStep
+  });
+
   /**
-   * Atualiza o intervalo de reprodução
+   * Destaca na timeline o intervalo in/out do player
    */
-  const updatePlayInterval = () => {
-    if (state.playInterval) clearInterval(state.playInterval);
+  const renderTimelineRange = ({ range }) => {
+    const maxPosition = positionOf(state.geojsonLayers.length - 1);
+    const hasRange = range.start !== null || range.end !== null;
     
-    state.playInterval = setInterval(() => {
-      let next = state.currentIndex + 1;
-      if (next >= state.geojsonLayers.length) next = 0;
-      showLayerAtIndex(next);
-    }, parseFloat(elements.speedInput.value) * 1000);
+    elements.timelineRange.style.display = hasRange && maxPosition ? "block" : "none";
+    if (!hasRange || !maxPosition) return;
+    
+    const from = (positionOf(range.start !== null ? range.start : 0) / maxPosition) * 100;
+    const to = (positionOf(range.end !== null ? range.end : state.geojsonLayers.length - 1) / maxPosition) * 100;
+    elements.timelineRange.style.left = trackOffset(from);
+    elements.timelineRange.style.width = `${to - from}%`;
   };
 
+  window.player.on('range', renderTimelineRange);
+
   // ============ CONFIGURAÇÃO DE EVENTOS ============
+  /**
+   * Registra uma navegação feita pelo usuário (não pela reprodução automática)
+   */
+  const markUserNavigation = e => {
+    if (e.isTrusted) state.lastUserNavigation = Date.now();
+  };
+
   elements.timelineSlider.addEventListener("input", e => {
-    const idx = parseInt(e.target.value);
-    if (!isNaN(idx)) showLayerAtIndex(idx);
+    markUserNavigation(e);
+    // O valor da timeline é uma posição no tempo; exibir o frame mais próximo
+    const position = parseInt(e.target.value);
+    if (!isNaN(position)) window.player.seek(indexAtPosition(position));
   });
   
-  elements.prevBtn.addEventListener("click", () => 
-    showLayerAtIndex((state.currentIndex - 1 + state.geojsonLayers.length) % state.geojsonLayers.length)
-  );
+  elements.gapModeSelect.value = state.gapMode;
+  elements.gapModeSelect.addEventListener("change", () => {
+    state.gapMode = elements.gapModeSelect.value;
+    localStorage.setItem('gapMode', state.gapMode);
+  });
   
-  elements.nextBtn.addEventListener("click", () => 
-    showLayerAtIndex((state.currentIndex + 1) % state.geojsonLayers.length)
-  );
+  elements.timelineSlider.addEventListener("pointerdown", () => { state.timelineDragging = true; });
+  document.addEventListener("pointerup", () => { state.timelineDragging = false; });
   
-  elements.playPauseBtn.addEventListener("click", () => {
-    if (!state.geojsonLayers.length) return;
-    
-    state.playing = !state.playing;
-    elements.playPauseBtn.textContent = state.playing ? "Pause" : "Play";
-    
-    if (state.playing) {
-      updatePlayInterval();
-    } else {
-      clearInterval(state.playInterval);
+  // Os botões e a velocidade são tratados pelo player; aqui só se registra a navegação manual
+  elements.prevBtn.addEventListener("click", markUserNavigation);
+  elements.nextBtn.addEventListener("click", markUserNavigation);
+  
+  elements.followLatestCheckbox.checked = state.followLatest;
+  elements.followLatestCheckbox.addEventListener("change", () => {
+    state.followLatest = elements.followLatestCheckbox.checked;
+    localStorage.setItem('followLatest', state.followLatest);
+    if (state.followLatest && state.geojsonLayers.length) {
+      showLayerAtIndex(state.geojsonLayers.length - 1);
     }
   });
   
-  elements.speedInput.addEventListener("input", () => {
-    elements.speedValueSpan.textContent = elements.speedInput.value;
-    if (state.playing) updatePlayInterval();
+  elements.scanAllCheckbox.checked = state.scanAll;
+  elements.scanAllCheckbox.addEventListener("change", () => {
+    state.scanAll = elements.scanAllCheckbox.checked;
+    localStorage.setItem('scanAllFrames', state.scanAll);
+    if (state.geojsonLayers.length) startFrameScan();
   });
   
   elements.showTrajectoryCheckbox.addEventListener("change", updateTrajectoryDisplay);
   
-  Array.from(elements.thresholdRadios).forEach(radio => 
-    radio.addEventListener("change", updateThresholdFilter)
-  );
-
+  elements.onionSkinCheckbox.checked = state.onionSkin.enabled;
+  elements.onionSkinCheckbox.addEventListener("change", () => {
+    state.onionSkin.enabled = elements.onionSkinCheckbox.checked;
+    localStorage.setItem('onionSkinEnabled', state.onionSkin.enabled);
+    frameStore.setKeepPrevious(state.onionSkin.enabled ? state.onionSkin.frames : 0);
+    updateOnionSkin();
+  });
+  
+  if (state.onionSkin.enabled) frameStore.setKeepPrevious(state.onionSkin.frames);
+  
+  elements.onionSkinFramesInput.max = CONFIG.ONION_SKIN.MAX_FRAMES;
+  elements.onionSkinFramesInput.value = state.onionSkin.frames;
+  elements.onionSkinFramesInput.addEventListener("change", () => {
+    const frames = parseInt(elements.onionSkinFramesInput.value);
+    state.onionSkin.frames = Math.max(1, Math.min(CONFIG.ONION_SKIN.MAX_FRAMES, frames || CONFIG.ONION_SKIN.DEFAULT_FRAMES));
+    elements.onionSkinFramesInput.value = state.onionSkin.frames;
+    localStorage.setItem('onionSkinFrames', state.onionSkin.frames);
+    if (state.onionSkin.enabled) frameStore.setKeepPrevious(state.onionSkin.frames);
+    updateOnionSkin();
+  });
+  
+  elements.nowcastCheckbox.checked = state.nowcast.enabled;
+  elements.nowcastCheckbox.addEventListener("change", () => {
+    state.nowcast.enabled = elements.nowcastCheckbox.checked;
+    localStorage.setItem('nowcastEnabled', state.nowcast.enabled);
+    updateNowcast();
+  });
+  
+  elements.nowcastAllCheckbox.addEventListener("change", () => {
+    state.nowcast.allVisible = elements.nowcastAllCheckbox.checked;
+    updateNowcast();
+  });
+  
+  elements.nowcastStepsSelect.value = state.nowcast.steps;
+  elements.nowcastStepsSelect.addEventListener("change", () => {
+    state.nowcast.steps = parseInt(elements.nowcastStepsSelect.value) || 1;
+    localStorage.setItem('nowcastSteps', state.nowcast.steps);
+    updateNowcast();
+  });
+  
+  /**
+   * Ativa ou desativa o painel de genealogia
+   */
+  const setGenealogyEnabled = enabled => {
+    state.genealogy.enabled = enabled;
+    elements.genealogyCheckbox.checked = enabled;
+    localStorage.setItem('genealogyEnabled', enabled);
+    updateGenealogy();
+  };
+  
+  elements.genealogyCheckbox.checked = state.genealogy.enabled;
+  elements.genealogyCheckbox.addEventListener("change", () => setGenealogyEnabled(elements.genealogyCheckbox.checked));
+  elements.genealogyClose.addEventListener("click", () => setGenealogyEnabled(false));
+  window.addEventListener("resize", () => {
+    if (elements.genealogyPanel.style.display === "block" && state.genealogy.lineage) renderGenealogy(state.genealogy.lineage);
+  });
+  
+  elements.trackMapCheckbox.addEventListener("change", () => {
+    state.trackMap.enabled = elements.trackMapCheckbox.checked;
+    updateTrackMap();
+  });
+  
+  elements.trackMapPeriodSelect.addEventListener("change", () => {
+    state.trackMap.period = elements.trackMapPeriodSelect.value;
+    updateTrackMap();
+  });
+  
+  Object.entries(CONFIG.TRACK_MAP.COLOR_BY).forEach(([value, label]) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = `Color by ${label.toLowerCase()}`;
+    elements.trackMapColorSelect.appendChild(option);
+  });
+  elements.trackMapColorSelect.value = state.trackMap.colorBy;
+  elements.trackMapColorSelect.addEventListener("change", () => {
+    state.trackMap.colorBy = elements.trackMapColorSelect.value;
+    localStorage.setItem('trackMapColorBy', state.trackMap.colorBy);
+    updateTrackMap();
+  });
+  
+  elements.interpolateCheckbox.checked = state.interpolation.enabled;
+  elements.interpolateCheckbox.addEventListener("change", () => {
+    state.interpolation.enabled = elements.interpolateCheckbox.checked;
+    localStorage.setItem('interpolationEnabled', state.interpolation.enabled);
+    if (!state.interpolation.enabled) finishInterpolation();
+  });
+  
+  elements.interpolationStepsInput.max = CONFIG.INTERPOLATION.MAX_STEPS;
+  elements.interpolationStepsInput.value = state.interpolation.steps;
+  elements.interpolationStepsInput.addEventListener("change", () => {
+    const steps = parseInt(elements.interpolationStepsInput.value);
+    state.interpolation.steps = Math.max(1, Math.min(CONFIG.INTERPOLATION.MAX_STEPS, steps || CONFIG.INTERPOLATION.DEFAULT_STEPS));
+    elements.interpolationStepsInput.value = state.interpolation.steps;
+    localStorage.setItem('interpolationSteps', state.interpolation.steps);
+  });
+  
   // Adicionar uma função para limpar todos os event listeners quando houver recarregamento
   const clearEventListeners = () => {
     elements.timelineSlider.removeEventListener("input", handleTimelineChange);
@@ -1693,16 +4821,247 @@ document.addEventListener("DOMContentLoaded", () => {
     elements.speedInput.removeEventListener("input", handleSpeedChange);
     elements.showTrajectoryCheckbox.removeEventListener("change", updateTrajectoryDisplay);
     
-    Array.from(elements.thresholdRadios).forEach(radio => 
-      radio.removeEventListener("change", updateThresholdFilter)
-    );
+    elements.thresholdOptions.removeEventListener("change", updateThresholdFilter);
     
     elements.map.off();
   };
 
+  // ============ FUSO HORÁRIO ============
+  /**
+   * Preenche o seletor de fuso: UTC, horário local do navegador e fusos IANA
+   */
+  const initTimeZoneSelector = () => {
+    const browserZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const addOption = (parent, value, text) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = text;
+      parent.appendChild(option);
+    };
+    
+    addOption(elements.timeZoneSelect, "UTC", "UTC");
+    addOption(elements.timeZoneSelect, "local", browserZone ? `Browser local (${browserZone})` : "Browser local");
+    
+    const group = document.createElement("optgroup");
+    group.label = "Time zones";
+    timeService.listZones()
+      .filter(zone => zone !== "UTC")
+      .forEach(zone => addOption(group, zone, zone.replace(/_/g, " ")));
+    elements.timeZoneSelect.appendChild(group);
+    
+    elements.timeZoneSelect.value = timeService.getZone();
+    elements.timeZoneSelect.addEventListener("change", () => timeService.setZone(elements.timeZoneSelect.value));
+  };
+
+  // Reformatar cabeçalho, timeline, popups e gráfico no novo fuso
+  timeService.onChange(() => {
+    buildTimeAxis();
+    if (state.geojsonLayers[state.currentIndex]) showLayerAtIndex(state.currentIndex);
+  });
+
+  // ============ PASTA LOCAL ============
+  /**
+   * Monta um conjunto de dados a partir dos arquivos das pastas boundary/ e trajectory/
+   */
+  const buildLocalDataset = entries => {
+    const boundary = [];
+    const trajectory = {};
+    
+    entries.forEach(({ path, file }) => {
+      // Mesmo padrão de nome (YYYYMMDD_HHMM) usado nos frames publicados
+      if (!/\.geojson$/i.test(file.name) || !extractTimestampFromFileName(file.name)) return;
+      
+      const folders = path.toLowerCase().split('/').slice(0, -1);
+      if (folders.includes('boundary')) {
+        boundary.push({ name: file.name, file });
+      } else if (folders.includes('trajectory')) {
+        trajectory[file.name] = file;
+      }
+    });
+    
+    return {
+      source: 'local',
+      boundary: utils.sortFiles(boundary, "name"),
+      trajectory,
+      thresholds: null
+    };
+  };
+
+  /**
+   * Importa tabelas de rastreamento (CSV/Parquet) e monta os frames no navegador
+   */
+  const importTrackingTables = files => {
+    if (elements.dataSource) elements.dataSource.textContent = "Importing tracking table...";
+    
+    return trackingTable.importFiles(files)
+      .then(({ rowCount, frames }) => {
+        if (!frames.length) {
+          alert("No rows with a valid timestamp found in the tracking table.");
+          updateDataSourceInfo(state.dataSource, state.geojsonLayers.length);
+          return;
+        }
+        console.info(`Tabela de rastreamento importada: ${rowCount} linhas, ${frames.length} frames`);
+        applyDataset({ source: 'table', boundary: frames, trajectory: {}, thresholds: null });
+      })
+      .catch(err => {
+        console.error("Erro ao importar a tabela de rastreamento:", err);
+        alert(err.parquetUnavailable ? err.message : "Could not read the tracking table. See the console for details.");
+        updateDataSourceInfo(state.dataSource, state.geojsonLayers.length);
+      });
+  };
+
+  /**
+   * Carrega uma pasta local a partir da lista de arquivos lida pelo navegador
+   */
+  const loadLocalFiles = entriesPromise => {
+    entriesPromise
+      .then(entries => {
+        const dataset = buildLocalDataset(entries);
+        
+        // Sem pastas boundary/, tentar tabelas de rastreamento soltas ou na pasta
+        const tables = entries.map(entry => entry.file).filter(trackingTable.isTableFile);
+        if (!dataset.boundary.length && tables.length) {
+          importTrackingTables(tables);
+          return;
+        }
+        
+        if (!dataset.boundary.length) {
+          alert("No boundary/*.GeoJSON files found in the selected folder.");
+          return;
+        }
+        applyDataset(dataset);
+      })
+      .catch(err => {
+        // Usuário cancelou o seletor de diretório
+        if (err && err.name === 'AbortError') return;
+        console.error("Erro ao ler a pasta local:", err);
+      });
+  };
+
+  elements.openFolderBtn.addEventListener("click", () => {
+    if (localFiles.supportsDirectoryPicker()) {
+      loadLocalFiles(localFiles.pickDirectory());
+    } else {
+      elements.folderInput.click();
+    }
+  });
+
+  elements.importTableBtn.addEventListener("click", () => elements.tableInput.click());
+
+  elements.tableInput.addEventListener("change", () => {
+    importTrackingTables(elements.tableInput.files);
+    elements.tableInput.value = "";
+  });
+
+  elements.folderInput.addEventListener("change", () => {
+    loadLocalFiles(Promise.resolve(localFiles.fromFileList(elements.folderInput.files)));
+    elements.folderInput.value = "";
+  });
+
+  // Arrastar e soltar uma pasta sobre a página
+  let dragDepth = 0;
+  const isFileDrag = e => e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files');
+  
+  document.addEventListener("dragenter", e => {
+    if (!isFileDrag(e)) return;
+    dragDepth++;
+    elements.dropOverlay.style.display = "flex";
+  });
+  
+  document.addEventListener("dragover", e => {
+    if (isFileDrag(e)) e.preventDefault();
+  });
+  
+  document.addEventListener("dragleave", e => {
+    if (!isFileDrag(e)) return;
+    dragDepth = Math.max(0, dragDepth - 1);
+    if (!dragDepth) elements.dropOverlay.style.display = "none";
+  });
+  
+  document.addEventListener("drop", e => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    dragDepth = 0;
+    elements.dropOverlay.style.display = "none";
+    loadLocalFiles(localFiles.fromDataTransfer(e.dataTransfer));
+  });
+
+  // ============ CACHE LOCAL ============
+  let cacheUsageTimeout = null;
+
+  /**
+   * Atualiza o resumo de uso do cache no painel
+   */
+  const updateCacheUsage = () => {
+    if (!elements.cacheUsage) return;
+    
+    geojsonCache.usage().then(usage => {
+      const toMB = bytes => (bytes / (1024 * 1024)).toFixed(1);
+      let text = `${usage.entries} files, ${toMB(usage.bytes)} MB`;
+      if (usage.usage !== null && usage.quota) {
+        text += ` (browser storage: ${toMB(usage.usage)} of ${toMB(usage.quota)} MB)`;
+      }
+      elements.cacheUsage.textContent = text;
+    });
+    updateMemoryUsage();
+  };
+
+  /**
+   * Mostra a memória usada pelos frames carregados frente ao orçamento
+   */
+  const updateMemoryUsage = () => {
+    if (!elements.memoryUsage) return;
+    const usedMB = frameStore.usedBytes() / (1024 * 1024);
+    elements.memoryUsage.textContent = `${usedMB.toFixed(1)} of ${frameStore.memoryBudget()} MB in use by loaded frames`;
+  };
+
+  /**
+   * Agenda uma atualização do resumo, agrupando vários carregamentos seguidos
+   */
+  const scheduleCacheUsageUpdate = () => {
+    clearTimeout(cacheUsageTimeout);
+    cacheUsageTimeout = setTimeout(updateCacheUsage, 1000);
+  };
+
+  /**
+   * Limpa o cache local após confirmação do usuário
+   */
+  const clearCache = () => {
+    if (!confirm("Clear all cached GeoJSON files?")) return;
+    
+    geojsonCache.clear()
+      .then(updateCacheUsage)
+      .catch(err => console.error("Erro ao limpar o cache:", err));
+  };
+
+  elements.clearCacheBtn.addEventListener("click", clearCache);
+  
+  // Orçamento de memória dos frames (armazenado pelo frameStore em frameMemoryBudgetMB)
+  elements.memoryBudgetInput.value = frameStore.memoryBudget();
+  elements.memoryBudgetInput.addEventListener("change", () => {
+    const megabytes = parseFloat(elements.memoryBudgetInput.value);
+    const min = parseFloat(elements.memoryBudgetInput.min);
+    if (isNaN(megabytes)) {
+      elements.memoryBudgetInput.value = frameStore.memoryBudget();
+      return;
+    }
+    frameStore.setMemoryBudget(Math.max(min, megabytes));
+    elements.memoryBudgetInput.value = frameStore.memoryBudget();
+    updateMemoryUsage();
+  });
+
   // ============ INICIALIZAÇÃO DA APLICAÇÃO ============
+  // Invalidar séries temporais em cache quando novos frames chegam
+  frameStore.onLoad(() => {
+    state.dataCache = {};
+    scheduleCacheUsageUpdate();
+    scheduleSummaryRefresh();
+  });
+
+  updateCacheUsage();
+
+  initTimeZoneSelector();
   generateFieldOptions();
-  loadTrajectoryFiles();
   loadBoundaryLayers();
 
   // Verificar novos arquivos periodicamente
@@ -1710,36 +5069,47 @@ document.addEventListener("DOMContentLoaded", () => {
 
   /**
    * Seleciona um polígono pelo seu UID
+   *
+   * Consulta o índice do worker antes de percorrer a camada atual e retorna uma
+   * Promise resolvida com true se o UID existir no frame atual.
    */
   const selectPolygonByUid = (uid) => {
-    let found = false;
+    const currentFrame = state.geojsonLayers[state.currentIndex];
     
-    state.currentBoundaryLayer.eachLayer(layer => {
-      if (layer.feature && layer.feature.properties && layer.feature.properties.uid === uid) {
-        // Encontramos o polígono com o mesmo UID
-        state.selection.feature = layer.feature;
-        state.selection.layer = layer;
-        // Aplicar estilo
-        layer.setStyle(CONFIG.STYLES.SELECTED);
-        // Atualizar o gráfico com os dados do polígono
-        updatePolygonChart(layer.feature);
-        found = true;
+    return frameIndex.lookup(uid).then(occurrences => {
+      const inCurrentFrame = currentFrame && state.currentBoundaryLayer &&
+        occurrences.some(o => o.fileName === currentFrame.fileName);
+      let match = null;
+      
+      if (inCurrentFrame) {
+        state.currentBoundaryLayer.eachLayer(layer => {
+          if (!match && layer.feature && layer.feature.properties && String(layer.feature.properties.uid) === String(uid)) {
+            // Encontramos o polígono com o mesmo UID
+            match = layer;
+          }
+        });
+      }
+      
+      if (match) {
+        // Selecionar como em um clique (mantendo o UID com o tipo original do GeoJSON)
+        selectFeature(match.feature, match);
+      } else {
+        // Se não encontramos o polígono com este UID nesta camada, limpamos a seleção
+        state.selection.uid = null;
+        state.selection.uids = [];
+        state.selection.feature = null;
+        state.selection.layer = null;
+        // Esconder o gráfico
+        document.getElementById(CONFIG.DOM_IDS.POLYGON_CHART_CONTAINER).style.display = "none";
+        
+        updateOnionSkin();
+        updateNestedThresholds();
+        updateNowcast();
+        updateGenealogy();
       }
+      
+      return !!match;
     });
-    
-    if (found) {
-      // Se encontramos o polígono, mantemos o UID selecionado
-      state.selection.uid = uid;
-    } else {
-      // Se não encontramos o polígono com este UID nesta camada, limpamos a seleção
-      state.selection.uid = null;
-      state.selection.feature = null;
-      state.selection.layer = null;
-      // Esconder o gráfico
-      document.getElementById(CONFIG.DOM_IDS.POLYGON_CHART_CONTAINER).style.display = "none";
-    }
-    
-    return found;
   };
 
   // Adicione esta função ao seu arquivo script.js
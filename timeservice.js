@@ -0,0 +1,183 @@
+/**
+ * Serviço único de tempo da aplicação
+ *
+ * Os instantes são tratados internamente em milissegundos UTC. A conversão para
+ * exibição usa o fuso escolhido pelo usuário (UTC, horário local do navegador ou
+ * um fuso IANA) por meio de Intl.DateTimeFormat, que aplica o horário de verão.
+ */
+
+// Configurações do serviço de tempo
+const TIME_CONFIG = {
+  DEFAULT_ZONE: 'UTC',
+  TIME_INCREMENT: 0, // Minutos somados aos horários extraídos dos nomes de arquivo
+  // Fusos oferecidos quando o navegador não lista os fusos suportados
+  FALLBACK_ZONES: [
+    'America/Sao_Paulo', 'America/Manaus', 'America/Bogota', 'America/New_York',
+    'America/Chicago', 'America/Denver', 'America/Los_Angeles', 'Europe/London',
+    'Europe/Paris', 'Africa/Johannesburg', 'Asia/Kolkata', 'Asia/Tokyo', 'Australia/Sydney'
+  ]
+};
+
+// Estado do serviço de tempo
+const timeState = {
+  zone: localStorage.getItem('displayTimeZone') || TIME_CONFIG.DEFAULT_ZONE, // 'UTC', 'local' ou nome IANA
+  formatters: new Map(), // Fuso -> Intl.DateTimeFormat
+  listeners: []          // Callbacks chamados quando o fuso muda
+};
+
+/**
+ * Formatador Intl para um fuso (undefined = fuso do navegador)
+ */
+function getTimeFormatter(zone) {
+  if (!timeState.formatters.has(zone)) {
+    timeState.formatters.set(zone, new Intl.DateTimeFormat('en-US', {
+      timeZone: zone === 'local' ? undefined : zone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  return timeState.formatters.get(zone);
+}
+
+/**
+ * Verifica se um fuso é aceito pelo navegador
+ */
+function isValidTimeZone(zone) {
+  if (zone === 'UTC' || zone === 'local') return true;
+  try {
+    getTimeFormatter(zone);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Componentes de data/hora de um instante no fuso atual
+ */
+function getTimeParts(time) {
+  return getTimeFormatter(timeState.zone).formatToParts(new Date(time)).reduce((parts, part) => {
+    if (part.type !== 'literal') parts[part.type] = part.value;
+    return parts;
+  }, {});
+}
+
+if (!isValidTimeZone(timeState.zone)) timeState.zone = TIME_CONFIG.DEFAULT_ZONE;
+
+const timeService = {
+  /**
+   * Fuso atual de exibição
+   */
+  getZone: () => timeState.zone,
+
+  /**
+   * Define o fuso de exibição e notifica os interessados
+   */
+  setZone: zone => {
+    if (!isValidTimeZone(zone) || zone === timeState.zone) return;
+    timeState.zone = zone;
+    localStorage.setItem('displayTimeZone', zone);
+    timeState.listeners.forEach(listener => listener(zone));
+  },
+
+  /**
+   * Registra um callback chamado quando o fuso muda
+   */
+  onChange: callback => {
+    timeState.listeners.push(callback);
+  },
+
+  /**
+   * Lista de fusos IANA disponíveis no navegador
+   */
+  listZones: () => (typeof Intl.supportedValuesOf === 'function'
+    ? Intl.supportedValuesOf('timeZone')
+    : TIME_CONFIG.FALLBACK_ZONES),
+
+  /**
+   * Converte um valor (ms, Date ou texto) em instante; texto sem fuso é UTC
+   */
+  parse: value => {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number') return value;
+    if (value instanceof Date) return value.getTime();
+
+    const text = String(value).trim().replace(' ', 'T');
+    const hasZone = /(Z|[+-]\d{2}:?\d{2})$/.test(text);
+    const time = Date.parse(hasZone ? text : `${text}Z`);
+    return isNaN(time) ? null : time;
+  },
+
+  /**
+   * Instante de um nome de arquivo no formato YYYYMMDD_HHMM (UTC), ou null
+   */
+  parseFileName: fileName => {
+    const match = fileName.match(/(\d{4})(\d{2})(\d{2})_(\d{2})(\d{2})/);
+    if (!match) return null;
+
+    const [_, year, month, day, hour, minute] = match;
+    return Date.UTC(parseInt(year), parseInt(month) - 1, parseInt(day), parseInt(hour), parseInt(minute)) +
+      TIME_CONFIG.TIME_INCREMENT * 60 * 1000;
+  },
+
+  /**
+   * Formata um instante no fuso atual ("YYYY-MM-DD HH:MM")
+   *
+   * Opções: seconds (inclui segundos), timeOnly ("HH:MM") e dateOnly ("MM-DD").
+   */
+  format: (time, { seconds = false, timeOnly = false, dateOnly = false } = {}) => {
+    if (time === null || time === undefined || isNaN(time)) return "";
+
+    const p = getTimeParts(time);
+    const clock = `${p.hour}:${p.minute}${seconds ? `:${p.second}` : ''}`;
+    if (timeOnly) return clock;
+    if (dateOnly) return `${p.month}-${p.day}`;
+    return `${p.year}-${p.month}-${p.day} ${clock}`;
+  },
+
+  /**
+   * Relógio do fuso atual no instante informado, em ms como se fosse UTC
+   */
+  toWallClock: time => time + timeService.offsetAt(time) * 60000,
+
+  /**
+   * Instante correspondente a um relógio do fuso atual em ms (inverso de toWallClock)
+   *
+   * A diferença para o UTC é recalculada no instante estimado para respeitar
+   * as transições de horário de verão.
+   */
+  fromWallClockMs: wallClock => {
+    const estimate = wallClock - timeService.offsetAt(wallClock) * 60000;
+    return wallClock - timeService.offsetAt(estimate) * 60000;
+  },
+
+  /**
+   * Diferença (minutos) entre o fuso atual e o UTC no instante informado
+   */
+  offsetAt: time => {
+    const p = getTimeParts(time);
+    const wallClock = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return Math.round((wallClock - Math.floor(time / 1000) * 1000) / 60000);
+  },
+
+  /**
+   * Rótulo do fuso no instante informado (ex.: "UTC", "UTC-03:00")
+   */
+  zoneLabel: time => {
+    const offset = timeService.offsetAt(time === undefined ? Date.now() : time);
+    if (!offset) return 'UTC';
+
+    const sign = offset < 0 ? '-' : '+';
+    const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+    const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+    return `UTC${sign}${hours}:${minutes}`;
+  }
+};
+
+// Expor para uso em outros scripts
+window.timeService = timeService;